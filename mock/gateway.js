@@ -0,0 +1,283 @@
+import {
+    deriveServerKeyPair,
+    deriveSessionKeys,
+    envelopeAad,
+    encrypt,
+    decrypt,
+    sign,
+    verify,
+    fingerprint,
+    fromBase64,
+    pemToSpki,
+    toBase64,
+    importClientSigningKey,
+} from './protocol.js';
+import { createLedger, LedgerError } from './ledger.js';
+
+// --- Mock secure gateway ---
+// Answers the two middleware endpoints the app talks to, with the same
+// envelope, key schedule and signatures, backed by an in-memory ledger. Used
+// by the Vite dev plugin (vitePlugin.js) and directly from tests through
+// gateway.fetch, which has the same signature as window.fetch.
+
+// Must match the paths in src/config.js
+export const PUBLIC_KEY_PATH = '/api/middleware/public-key/';
+export const GATEWAY_PATH = '/api/secure/gateway/';
+
+const DEFAULT_SEED = 'securecipher-mock-gateway';
+const SIGNED_ENVELOPE_VERSION = 1;
+const SCHEDULE_VERSION = 1;
+const MAX_CLOCK_SKEW_SECONDS = 300;
+
+// Answered before the request could be decrypted, so the client gets no
+// signed envelope and treats it as an unreadable rejection
+class PlainError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+// `state` restores a ledger saved from gateway.ledger.toJSON(); `onChange` is
+// called after every request that may have changed it
+export function createMockGateway({
+    seed = DEFAULT_SEED,
+    state = null,
+    protocolVersions = [2, 1],
+    clockOffsetSeconds = 0,
+    onChange = () => {},
+    log = () => {},
+} = {}) {
+    const ledger = createLedger(state);
+    // This server's clock; tests shift it to simulate a device clock that is off
+    const serverTime = () => nowSeconds() + clockOffsetSeconds;
+    const keys = Promise.all([
+        deriveServerKeyPair(seed, 'ecdh'),
+        deriveServerKeyPair(seed, 'signing'),
+    ]).then(([ecdh, signing]) => ({ ecdh, signing }));
+    const sessions = new Map(); // `${version}:${ephemeralPubkey}` -> Promise<{ requestKey, responseKey }>
+    const seenCounters = new Set();
+    const seenNonces = new Set();
+
+    // --- Public key endpoint ---
+    async function publicKeyDocument() {
+        const { ecdh, signing } = await keys;
+        return {
+            public_key: ecdh.pem,
+            signing_public_key: signing.pem,
+            protocol_versions: protocolVersions,
+            server_time: serverTime(),
+        };
+    }
+
+    // --- Targets ---
+    async function authorizeDevice(userId, signerKey, signerKeyId, { authorization, authorization_signature: signature }) {
+        if (authorization?.type !== 'device_authorization' || authorization.authorized_by !== signerKeyId) {
+            throw new LedgerError(400, 'invalid_authorization', 'The device authorization is malformed.');
+        }
+        if (!await verify(authorization, signature, signerKey)) {
+            throw new LedgerError(400, 'invalid_authorization', 'The device authorization signature is invalid.');
+        }
+        const spki = fromBase64(authorization.device_public_key);
+        await importClientSigningKey(spki);
+        if (await fingerprint(spki) !== authorization.device_key_id) {
+            throw new LedgerError(400, 'invalid_authorization', 'The device key ID does not match its public key.');
+        }
+        ledger.addDevice(userId, {
+            keyId: authorization.device_key_id,
+            publicKey: authorization.device_public_key,
+            label: authorization.device_label,
+        });
+        return { success: true, devices: ledger.listDevices(userId) };
+    }
+
+    async function authorizeStandingOrder(userId, client, { schedule, schedule_signature: signature, idempotency_key: idempotencyKey }) {
+        if (schedule?.type !== 'standing_order' || schedule.version !== SCHEDULE_VERSION || schedule.authorized_by !== client.keyId) {
+            throw new LedgerError(400, 'invalid_authorization', 'The standing order authorization is malformed.');
+        }
+        if (!await verify(schedule, signature, client.key)) {
+            throw new LedgerError(400, 'invalid_authorization', 'The standing order signature is invalid.');
+        }
+        return { success: true, standing_orders: ledger.authorizeStandingOrder(userId, schedule, signature, idempotencyKey) };
+    }
+
+    async function dispatch({ target, transaction_data: payload = {} }, client) {
+        // Standing orders fall due lazily, whenever the gateway is next used
+        ledger.runStandingOrders();
+        // The only target a key no account knows yet may call
+        if (target === 'register') {
+            return ledger.register(payload, { keyId: client.keyId, publicKey: toBase64(client.spki) });
+        }
+        const userId = ledger.authenticate(client.keyId);
+        switch (target) {
+            case 'get_profile':
+                return ledger.profile(userId);
+            case 'validate_account':
+                return ledger.lookupAccount(payload.account_number);
+            case 'transfer':
+                return ledger.transfer(userId, payload);
+            case 'list_devices':
+                return { devices: ledger.listDevices(userId) };
+            case 'authorize_device':
+                return await authorizeDevice(userId, client.key, client.keyId, payload);
+            case 'revoke_device':
+                if (payload.key_id === client.keyId) {
+                    throw new LedgerError(400, 'cannot_revoke_self', 'A device cannot revoke its own key.');
+                }
+                ledger.revokeDevice(userId, payload.key_id);
+                return { success: true, devices: ledger.listDevices(userId) };
+            case 'list_beneficiaries':
+                return { beneficiaries: ledger.listBeneficiaries(userId) };
+            case 'save_beneficiary':
+                return { success: true, beneficiaries: ledger.saveBeneficiary(userId, payload) };
+            case 'delete_beneficiary':
+                return { success: true, beneficiaries: ledger.deleteBeneficiary(userId, payload.account_number) };
+            case 'list_standing_orders':
+                return { standing_orders: ledger.listStandingOrders(userId) };
+            case 'authorize_standing_order':
+                return await authorizeStandingOrder(userId, client, payload);
+            case 'set_standing_order_status':
+                return { success: true, standing_orders: ledger.setStandingOrderStatus(userId, payload.order_id, payload.status) };
+            default:
+                throw new LedgerError(400, 'unknown_target', `Unknown target: ${target}`);
+        }
+    }
+
+    // --- Request verification ---
+    // Checks the signed envelope the same way the middleware does and returns
+    // the signing client's key
+    async function verifyClient(request) {
+        const { client_signature: signature, client_public_key: pem, ...signedEnvelope } = request;
+        if (signedEnvelope.version !== SIGNED_ENVELOPE_VERSION) {
+            throw new LedgerError(400, 'unsupported_envelope', `Unsupported envelope version: ${signedEnvelope.version}`);
+        }
+        if (typeof signedEnvelope.timestamp !== 'number' || Math.abs(serverTime() - signedEnvelope.timestamp) > MAX_CLOCK_SKEW_SECONDS) {
+            throw new LedgerError(400, 'stale_request', 'The request timestamp is outside the allowed clock skew.');
+        }
+        if (!signedEnvelope.nonce || seenNonces.has(signedEnvelope.nonce)) {
+            throw new LedgerError(409, 'replayed_nonce', 'This request nonce has already been used.');
+        }
+        let spki;
+        let key;
+        try {
+            spki = pemToSpki(pem);
+            key = await importClientSigningKey(spki);
+        } catch {
+            throw new LedgerError(400, 'invalid_client_key', 'The client public key is not a P-384 signing key.');
+        }
+        const keyId = await fingerprint(spki);
+        if (keyId !== signedEnvelope.client_key_id) {
+            throw new LedgerError(400, 'key_id_mismatch', 'The client key ID does not match the client public key.');
+        }
+        if (!await verify(signedEnvelope, signature, key)) {
+            throw new LedgerError(401, 'bad_signature', 'The client signature is invalid.');
+        }
+        seenNonces.add(signedEnvelope.nonce);
+        return { key, keyId, spki };
+    }
+
+    function sessionKeys(version, ephemeralPubkey) {
+        const id = `${version}:${ephemeralPubkey}`;
+        if (!sessions.has(id)) {
+            const pending = keys.then(({ ecdh }) => deriveSessionKeys(ecdh, { version, ephemeralPubkey }));
+            // A bad ephemeral key must not stay cached
+            pending.catch(() => sessions.delete(id));
+            sessions.set(id, pending);
+        }
+        return sessions.get(id);
+    }
+
+    // --- Gateway endpoint ---
+    async function handleGateway(body) {
+        const { protocol_version: version, ephemeral_pubkey: ephemeralPubkey, counter, ciphertext, iv } = body || {};
+        if (!protocolVersions.includes(version)) {
+            throw new PlainError(400, `Unsupported protocol version: ${version}`);
+        }
+        if (!ephemeralPubkey || !ciphertext || !iv) {
+            throw new PlainError(400, 'Malformed gateway envelope.');
+        }
+        const headers = { protocol_version: version, ephemeral_pubkey: ephemeralPubkey, counter };
+        const counterId = `${version}:${ephemeralPubkey}:${counter}`;
+        if (version > 1 && seenCounters.has(counterId)) {
+            throw new PlainError(409, 'This message counter has already been used.');
+        }
+
+        let session;
+        let request;
+        try {
+            session = await sessionKeys(version, ephemeralPubkey);
+            request = await decrypt({ ciphertext, iv }, session.requestKey, envelopeAad(headers, 'request'));
+        } catch {
+            throw new PlainError(400, 'The request could not be decrypted.');
+        }
+        seenCounters.add(counterId);
+
+        const { signing } = await keys;
+        const reply = async (status, body) => {
+            const signed = { nonce: request.nonce, response: body, server_time: serverTime() };
+            const envelope = { ...signed, server_signature: await sign(signed, signing.privateKey) };
+            const encrypted = await encrypt(envelope, session.responseKey, envelopeAad(headers, 'response'));
+            return { status, body: encrypted };
+        };
+
+        try {
+            const client = await verifyClient(request);
+            const response = await dispatch(request, client);
+            log(`${request.target} -> 200`);
+            return await reply(200, response);
+        } catch (err) {
+            if (!(err instanceof LedgerError)) throw err;
+            log(`${request.target} -> ${err.status} ${err.code}`);
+            return await reply(err.status, { error: err.message, code: err.code });
+        } finally {
+            onChange(ledger);
+        }
+    }
+
+    // Resolves to { status, body } for a request already parsed from JSON,
+    // or null when the path is not one of the gateway's
+    async function handle({ method = 'GET', path, body = null }) {
+        try {
+            if (path === PUBLIC_KEY_PATH && method === 'GET') {
+                return { status: 200, body: await publicKeyDocument() };
+            }
+            if (path === GATEWAY_PATH && method === 'POST') {
+                return await handleGateway(body);
+            }
+        } catch (err) {
+            if (err instanceof PlainError) return { status: err.status, body: { error: err.message } };
+            log(`Unexpected error: ${err.stack || err}`);
+            return { status: 500, body: { error: 'Mock gateway error.' } };
+        }
+        return null;
+    }
+
+    // Drop-in replacement for window.fetch in tests
+    async function mockFetch(input, init = {}) {
+        init.signal?.throwIfAborted();
+        const { pathname } = new URL(typeof input === 'string' ? input : input.url, 'http://mock.gateway');
+        let body = null;
+        if (init.body) {
+            try {
+                body = JSON.parse(init.body);
+            } catch {
+                return Response.json({ error: 'Request body is not JSON.' }, { status: 400 });
+            }
+        }
+        const result = await handle({ method: init.method || 'GET', path: pathname, body });
+        if (!result) return Response.json({ error: 'Not found.' }, { status: 404 });
+        return Response.json(result.body, { status: result.status });
+    }
+
+    return {
+        ledger,
+        handle,
+        fetch: mockFetch,
+        // Hex SHA-256 fingerprint of the ECDH key, for VITE_SERVER_KEY_FINGERPRINT
+        serverKeyFingerprint: async () => (await keys).ecdh.fingerprint,
+    };
+}
@@ -0,0 +1,461 @@
+// --- In-memory ledger for the mock gateway ---
+// Users, accounts, device keys and transactions, shaped like the middleware's
+// JSON. Balances are kept in kobo internally and served as "1234.50" strings.
+// The whole state is plain JSON so the dev server can save and reload it.
+
+const OPENING_BALANCE_KOBO = 500_000 * 100;
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+const ACCOUNT_NUMBER_PATTERN = /^\d{10}$/;
+const MAX_NICKNAME_LENGTH = 40;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FREQUENCIES = ['once', 'weekly', 'monthly'];
+
+// Accounts that exist from the start, so there is someone to send money to
+const DEMO_RECIPIENTS = [
+    { first_name: 'Ada', last_name: 'Obi', account_number: '0123456789' },
+    { first_name: 'Tunde', last_name: 'Bello', account_number: '1234567890' },
+];
+
+// Thrown for anything the gateway should answer with an error status
+export class LedgerError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'LedgerError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function emptyState() {
+    const now = new Date().toISOString();
+    const state = { users: {}, accounts: {}, devices: {}, transactions: [], idempotency: {}, beneficiaries: {}, standingOrders: {} };
+    DEMO_RECIPIENTS.forEach(({ account_number, ...name }, index) => {
+        const id = `demo-${index + 1}`;
+        state.users[id] = { id, ...name, username: name.first_name.toLowerCase(), email: `${name.first_name.toLowerCase()}@example.com`, created_at: now };
+        state.accounts[account_number] = { account_number, user_id: id, account_type: 'Savings', balance: OPENING_BALANCE_KOBO, is_primary: true, created_at: now };
+    });
+    return state;
+}
+
+function formatKobo(kobo) {
+    return `${Math.floor(kobo / 100)}.${String(kobo % 100).padStart(2, '0')}`;
+}
+
+function parseAmount(value) {
+    const text = String(value ?? '').trim();
+    if (!AMOUNT_PATTERN.test(text)) {
+        throw new LedgerError(400, 'invalid_amount', 'Enter an amount in naira with at most two decimal places.');
+    }
+    const [naira, kobo = ''] = text.split('.');
+    return Number(naira) * 100 + Number(kobo.padEnd(2, '0'));
+}
+
+// --- Calendar dates (YYYY-MM-DD, UTC) ---
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function isDate(value) {
+    return DATE_PATTERN.test(value || '') && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+// The nth payment date of a schedule, counting from 0. Monthly payments keep
+// the start date's day of the month, or the month's last day if it is shorter.
+function occurrence(startDate, frequency, n) {
+    const [year, month, day] = startDate.split('-').map(Number);
+    if (frequency === 'weekly') {
+        return new Date(Date.UTC(year, month - 1, day + 7 * n)).toISOString().slice(0, 10);
+    }
+    const lastDay = new Date(Date.UTC(year, month + n, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month - 1 + n, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+function newAccountNumber(accounts) {
+    let number;
+    do {
+        number = String(Math.floor(Math.random() * 1e10)).padStart(10, '0');
+    } while (accounts[number]);
+    return number;
+}
+
+export function createLedger(initialState = null) {
+    const state = initialState || emptyState();
+    // State files saved before beneficiaries and standing orders existed
+    state.beneficiaries ||= {};
+    state.standingOrders ||= {};
+
+    // --- Serialization ---
+    const serializeAccount = ({ balance, user_id: _userId, ...account }) => ({
+        ...account,
+        available_balance: formatKobo(balance),
+        ledger_balance: formatKobo(balance),
+    });
+    const serializeTransaction = ({ amount, ...transaction }) => ({ ...transaction, amount: formatKobo(amount) });
+
+    const accountsOf = (userId) => Object.values(state.accounts).filter(a => a.user_id === userId);
+
+    function profile(userId) {
+        const accounts = accountsOf(userId);
+        const numbers = new Set(accounts.map(a => a.account_number));
+        return {
+            user: state.users[userId],
+            accounts: accounts.map(serializeAccount),
+            transactions: state.transactions.filter(t => numbers.has(t.account_number)).map(serializeTransaction),
+        };
+    }
+
+    function record(accountNumber, type, amount, description, reference) {
+        const transaction = {
+            id: crypto.randomUUID(),
+            account_number: accountNumber,
+            transaction_type: type,
+            amount,
+            description,
+            reference,
+            status: 'Completed',
+            created_at: new Date().toISOString(),
+        };
+        state.transactions.push(transaction);
+        return transaction;
+    }
+
+    // --- Devices ---
+    function assertNewDevice(keyId) {
+        if (state.devices[keyId]) {
+            throw new LedgerError(409, 'device_exists', 'This device key is already registered.');
+        }
+    }
+
+    function addDevice(userId, { keyId, publicKey, label }) {
+        assertNewDevice(keyId);
+        state.devices[keyId] = {
+            key_id: keyId,
+            user_id: userId,
+            public_key: publicKey,
+            label: label || 'Unnamed device',
+            created_at: new Date().toISOString(),
+            last_used_at: null,
+            revoked_at: null,
+        };
+    }
+
+    // The user a signing key belongs to; revoked and unknown keys are refused
+    function authenticate(keyId) {
+        const device = state.devices[keyId];
+        if (!device || device.revoked_at) {
+            throw new LedgerError(401, 'unknown_key', 'This device is not authorized for any account.');
+        }
+        device.last_used_at = new Date().toISOString();
+        return device.user_id;
+    }
+
+    function listDevices(userId) {
+        return Object.values(state.devices)
+            .filter(d => d.user_id === userId && !d.revoked_at)
+            .map(({ key_id, label, created_at, last_used_at }) => ({ key_id, label, created_at, last_used_at }));
+    }
+
+    function revokeDevice(userId, keyId) {
+        const device = state.devices[keyId];
+        if (!device || device.user_id !== userId || device.revoked_at) {
+            throw new LedgerError(404, 'device_not_found', 'No such device on this account.');
+        }
+        device.revoked_at = new Date().toISOString();
+    }
+
+    // --- Accounts ---
+    function register(payload, device) {
+        const { username, email } = payload;
+        if (!username || !email) {
+            throw new LedgerError(400, 'invalid_registration', 'Username and email are required.');
+        }
+        assertNewDevice(device.keyId);
+        const taken = Object.values(state.users).some(u => u.username === username || u.email === email);
+        if (taken) {
+            throw new LedgerError(409, 'user_exists', 'An account with this username or email already exists.');
+        }
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+        state.users[id] = {
+            id,
+            username,
+            email,
+            first_name: payload.first_name,
+            last_name: payload.last_name,
+            phone_number: payload.phone_number,
+            created_at: now,
+        };
+        const accountNumber = newAccountNumber(state.accounts);
+        state.accounts[accountNumber] = {
+            account_number: accountNumber,
+            user_id: id,
+            account_type: 'Savings',
+            balance: OPENING_BALANCE_KOBO,
+            is_primary: true,
+            created_at: now,
+        };
+        record(accountNumber, 'Credit', OPENING_BALANCE_KOBO, 'Opening balance', `OPEN-${accountNumber}`);
+        addDevice(id, { ...device, label: payload.device_label });
+        return { success: true, ...profile(id) };
+    }
+
+    function lookupAccount(accountNumber) {
+        const account = state.accounts[accountNumber];
+        if (!account) {
+            throw new LedgerError(404, 'account_not_found', 'Recipient account not found.');
+        }
+        const { first_name, last_name } = state.users[account.user_id];
+        return { user: { first_name, last_name, account_number: accountNumber } };
+    }
+
+    // --- Beneficiaries ---
+    // Saved per user and keyed by account number. The holder's name comes
+    // from the ledger, never from the client.
+    function listBeneficiaries(userId) {
+        return Object.values(state.beneficiaries[userId] || {})
+            .sort((a, b) => (a.nickname || a.account_name).localeCompare(b.nickname || b.account_name));
+    }
+
+    function saveBeneficiary(userId, { account_number: accountNumber, nickname = '' }) {
+        const account = ACCOUNT_NUMBER_PATTERN.test(accountNumber || '') && state.accounts[accountNumber];
+        if (!account) {
+            throw new LedgerError(404, 'account_not_found', 'Recipient account not found.');
+        }
+        if (account.user_id === userId) {
+            throw new LedgerError(400, 'own_account', 'You cannot save your own account as a beneficiary.');
+        }
+        if (typeof nickname !== 'string' || nickname.length > MAX_NICKNAME_LENGTH) {
+            throw new LedgerError(400, 'invalid_nickname', `Nicknames can be at most ${MAX_NICKNAME_LENGTH} characters.`);
+        }
+        const { first_name, last_name } = state.users[account.user_id];
+        const saved = state.beneficiaries[userId] ||= {};
+        saved[accountNumber] = {
+            account_number: accountNumber,
+            account_name: `${first_name} ${last_name}`,
+            nickname: nickname.trim() || null,
+            created_at: saved[accountNumber]?.created_at || new Date().toISOString(),
+        };
+        return listBeneficiaries(userId);
+    }
+
+    // Deleting an entry that is already gone succeeds, so a repeated request is harmless
+    function deleteBeneficiary(userId, accountNumber) {
+        delete state.beneficiaries[userId]?.[accountNumber];
+        return listBeneficiaries(userId);
+    }
+
+    // Replays the first response for a repeated idempotency key, and refuses
+    // the key outright if it comes back with different transfer details
+    function transfer(userId, payload) {
+        const { from_account, to_account, description, idempotency_key: idempotencyKey } = payload;
+        if (!idempotencyKey) {
+            throw new LedgerError(400, 'idempotency_key_required', 'Transfers must carry an idempotency key.');
+        }
+        const recordKey = `${userId}:${idempotencyKey}`;
+        const request = JSON.stringify({ from_account, to_account, amount: String(payload.amount), description });
+        const previous = state.idempotency[recordKey];
+        if (previous) {
+            if (previous.request !== request) {
+                throw new LedgerError(409, 'idempotency_key_reused', 'This idempotency key was already used for a different transfer.');
+            }
+            return { ...previous.response, replayed: true };
+        }
+
+        const { reference, debit, credit } = moveMoney(userId, payload);
+        const response = {
+            success: true,
+            reference,
+            debit_transaction_id: debit.id,
+            credit_transaction_id: credit.id,
+            ...profile(userId),
+        };
+        state.idempotency[recordKey] = { request, response };
+        return response;
+    }
+
+    // Checks a transfer out of one of the user's accounts without looking at
+    // the balance; returns the amount in kobo
+    function checkTransfer(userId, { from_account, to_account, amount: value }) {
+        const amount = parseAmount(value);
+        const source = state.accounts[from_account];
+        if (!source || source.user_id !== userId) {
+            throw new LedgerError(403, 'not_account_owner', 'You can only send money from your own account.');
+        }
+        if (!state.accounts[to_account]) {
+            throw new LedgerError(404, 'account_not_found', 'Recipient account not found.');
+        }
+        if (from_account === to_account) {
+            throw new LedgerError(400, 'same_account', 'You cannot send money to your own account.');
+        }
+        if (amount <= 0) {
+            throw new LedgerError(400, 'invalid_amount', 'Amount must be greater than zero.');
+        }
+        return amount;
+    }
+
+    function moveMoney(userId, payload) {
+        const { from_account, to_account, description } = payload;
+        const amount = checkTransfer(userId, payload);
+        const source = state.accounts[from_account];
+        if (amount > source.balance) {
+            throw new LedgerError(400, 'insufficient_funds', 'Insufficient funds.');
+        }
+        const reference = `TRF-${crypto.randomUUID().slice(0, 8).toUpperCase()}`;
+        const narration = description || 'Fund Transfer';
+        source.balance -= amount;
+        state.accounts[to_account].balance += amount;
+        const debit = record(from_account, 'Debit', amount, narration, reference);
+        const credit = record(to_account, 'Credit', amount, narration, reference);
+        return { reference, debit, credit };
+    }
+
+    // --- Standing orders ---
+    // Kept with the schedule exactly as signed. `runs` counts the payments due
+    // under the current revision, which fixes the next payment date; a new
+    // revision starts counting again from its own start date.
+    const isOpen = (order) => order.status === 'active' || order.status === 'paused';
+
+    function nextRunDate({ schedule, runs }) {
+        if (schedule.frequency === 'once') return runs === 0 ? schedule.start_date : null;
+        const date = occurrence(schedule.start_date, schedule.frequency, runs);
+        return date <= schedule.end_date ? date : null;
+    }
+
+    function serializeStandingOrder(order) {
+        const { type: _type, version: _version, ...schedule } = order.schedule;
+        const { first_name, last_name } = state.users[state.accounts[schedule.to_account].user_id];
+        return {
+            ...schedule,
+            recipient_name: `${first_name} ${last_name}`,
+            status: order.status,
+            next_run_date: isOpen(order) ? nextRunDate(order) : null,
+            last_run: order.last_run,
+            created_at: order.created_at,
+        };
+    }
+
+    function ownStandingOrder(userId, orderId) {
+        const order = state.standingOrders[orderId];
+        if (!order || order.user_id !== userId) {
+            throw new LedgerError(404, 'standing_order_not_found', 'No such standing order on this account.');
+        }
+        return order;
+    }
+
+    function listStandingOrders(userId) {
+        return Object.values(state.standingOrders)
+            .filter(order => order.user_id === userId)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(serializeStandingOrder);
+    }
+
+    // `schedule` has already passed the gateway's signature check
+    // A repeated idempotency key replays the first authorization, as for
+    // transfers, as long as it carries the same schedule (issued_at aside)
+    function authorizeStandingOrder(userId, schedule, signature, idempotencyKey = null) {
+        const { order_id: orderId, revision, frequency, start_date: startDate, end_date: endDate } = schedule;
+        const recordKey = idempotencyKey && `${userId}:${idempotencyKey}`;
+        const { issued_at: _, ...terms } = schedule;
+        const request = JSON.stringify(terms);
+        const previous = recordKey && state.idempotency[recordKey];
+        if (previous) {
+            if (previous.request !== request) {
+                throw new LedgerError(409, 'idempotency_key_reused', 'This idempotency key was already used for a different standing order.');
+            }
+            return listStandingOrders(userId);
+        }
+
+        if (typeof orderId !== 'string' || !orderId || !Number.isInteger(revision) || revision < 1) {
+            throw new LedgerError(400, 'invalid_schedule', 'The standing order is malformed.');
+        }
+        if (!FREQUENCIES.includes(frequency)) {
+            throw new LedgerError(400, 'invalid_schedule', `Unknown payment frequency: ${frequency}`);
+        }
+        if (!isDate(startDate) || startDate <= today()) {
+            throw new LedgerError(400, 'invalid_schedule', 'Scheduled payments must start after today.');
+        }
+        if (frequency === 'once' ? endDate !== null : !isDate(endDate) || endDate < startDate) {
+            throw new LedgerError(400, 'invalid_schedule', 'The last payment cannot be before the first.');
+        }
+        checkTransfer(userId, schedule);
+
+        const existing = state.standingOrders[orderId];
+        if (existing) {
+            ownStandingOrder(userId, orderId);
+            if (!isOpen(existing)) {
+                throw new LedgerError(409, 'standing_order_closed', 'This standing order has already ended.');
+            }
+            if (revision <= existing.schedule.revision) {
+                throw new LedgerError(409, 'stale_revision', 'A newer version of this standing order has already been authorized.');
+            }
+        } else if (revision !== 1) {
+            throw new LedgerError(404, 'standing_order_not_found', 'No such standing order on this account.');
+        }
+        state.standingOrders[orderId] = {
+            user_id: userId,
+            schedule,
+            signature,
+            status: existing?.status || 'active',
+            runs: 0,
+            last_run: existing?.last_run || null,
+            created_at: existing?.created_at || new Date().toISOString(),
+        };
+        if (recordKey) state.idempotency[recordKey] = { request };
+        return listStandingOrders(userId);
+    }
+
+    function setStandingOrderStatus(userId, orderId, status) {
+        const order = ownStandingOrder(userId, orderId);
+        if (!['active', 'paused', 'cancelled'].includes(status)) {
+            throw new LedgerError(400, 'invalid_status', `Unknown standing order status: ${status}`);
+        }
+        if (!isOpen(order)) {
+            throw new LedgerError(409, 'standing_order_closed', 'This standing order has already ended.');
+        }
+        order.status = status;
+        if (status === 'active') {
+            // Payments that fell due while paused are skipped, not sent late
+            while (nextRunDate(order) && nextRunDate(order) < today()) order.runs += 1;
+            if (!nextRunDate(order)) order.status = 'completed';
+        }
+        return listStandingOrders(userId);
+    }
+
+    // Makes every payment that is due on or before `date`. A failed payment
+    // (e.g. insufficient funds) is recorded on the order and not retried.
+    function runStandingOrders(date = today()) {
+        for (const order of Object.values(state.standingOrders)) {
+            let due;
+            while (order.status === 'active' && (due = nextRunDate(order)) && due <= date) {
+                order.runs += 1;
+                try {
+                    const { reference } = moveMoney(order.user_id, order.schedule);
+                    order.last_run = { date: due, success: true, reference };
+                } catch (err) {
+                    if (!(err instanceof LedgerError)) throw err;
+                    order.last_run = { date: due, success: false, error: err.message };
+                }
+            }
+            if (order.status === 'active' && !nextRunDate(order)) order.status = 'completed';
+        }
+    }
+
+    return {
+        authenticate,
+        register,
+        profile,
+        lookupAccount,
+        transfer,
+        addDevice,
+        listDevices,
+        revokeDevice,
+        listBeneficiaries,
+        saveBeneficiary,
+        deleteBeneficiary,
+        listStandingOrders,
+        authorizeStandingOrder,
+        setStandingOrderStatus,
+        runStandingOrders,
+        toJSON: () => state,
+    };
+}
@@ -0,0 +1,140 @@
+import { createECDH } from 'node:crypto';
+import { canonicalizeJson } from '../src/utils/canonicalJson.js';
+
+// --- Server side of the secure gateway protocol ---
+// Written independently of src/utils/SecureKeyManager.js on purpose: the mock
+// only interoperates with the app if both sides agree on the wire format,
+// which is what makes it useful in tests.
+
+const { subtle } = globalThis.crypto;
+const encoder = new TextEncoder();
+
+export { canonicalizeJson };
+
+// --- Encoding ---
+export function toBase64(bytes) {
+    return Buffer.from(bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes).toString('base64');
+}
+
+export function fromBase64(base64) {
+    return new Uint8Array(Buffer.from(base64, 'base64'));
+}
+
+export function toPem(spki) {
+    return `-----BEGIN PUBLIC KEY-----\n${toBase64(spki)}\n-----END PUBLIC KEY-----`;
+}
+
+export function pemToSpki(pem) {
+    return fromBase64(pem.replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '').replace(/\s+/g, ''));
+}
+
+function toBase64Url(bytes) {
+    return Buffer.from(bytes).toString('base64url');
+}
+
+// Hex SHA-256 of an SPKI, the key ID / fingerprint format used everywhere
+export async function fingerprint(spki) {
+    return Buffer.from(await subtle.digest('SHA-256', spki)).toString('hex');
+}
+
+// --- Keys ---
+// Server keys are derived from a seed string so they survive dev server
+// restarts; otherwise the browser's pinned fingerprint would stop matching.
+export async function deriveServerKeyPair(seed, purpose) {
+    const seedKey = await subtle.importKey('raw', encoder.encode(seed), { name: 'HKDF' }, false, ['deriveBits']);
+    // A 384-bit value is below the P-384 group order with overwhelming probability
+    const secretKey = new Uint8Array(await subtle.deriveBits(
+        { name: 'HKDF', hash: 'SHA-384', salt: new Uint8Array(), info: encoder.encode(`securecipher-mock/${purpose}`) },
+        seedKey,
+        384
+    ));
+    const ecdh = createECDH('secp384r1');
+    ecdh.setPrivateKey(secretKey);
+    // Uncompressed point: 0x04 || x || y
+    const point = ecdh.getPublicKey();
+    const jwk = { kty: 'EC', crv: 'P-384', x: toBase64Url(point.slice(1, 49)), y: toBase64Url(point.slice(49, 97)) };
+    const algorithm = purpose === 'signing'
+        ? { name: 'ECDSA', namedCurve: 'P-384' }
+        : { name: 'ECDH', namedCurve: 'P-384' };
+    const privateUsages = purpose === 'signing' ? ['sign'] : ['deriveBits'];
+    const publicUsages = purpose === 'signing' ? ['verify'] : [];
+    const privateKey = await subtle.importKey('jwk', { ...jwk, d: toBase64Url(secretKey) }, algorithm, false, privateUsages);
+    const publicKey = await subtle.importKey('jwk', jwk, algorithm, true, publicUsages);
+    const spki = new Uint8Array(await subtle.exportKey('spki', publicKey));
+    return { privateKey, publicKey, spki, pem: toPem(spki), fingerprint: await fingerprint(spki) };
+}
+
+export async function importClientSigningKey(spki) {
+    return await subtle.importKey('spki', spki, { name: 'ECDSA', namedCurve: 'P-384' }, true, ['verify']);
+}
+
+// --- Signatures (ECDSA P-384 / SHA-256 over canonical JSON) ---
+export async function sign(payload, privateKey) {
+    const signature = await subtle.sign(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        privateKey,
+        encoder.encode(canonicalizeJson(payload))
+    );
+    return toBase64(signature);
+}
+
+export async function verify(payload, signatureBase64, publicKey) {
+    if (typeof signatureBase64 !== 'string') return false;
+    return await subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        publicKey,
+        fromBase64(signatureBase64),
+        encoder.encode(canonicalizeJson(payload))
+    );
+}
+
+// --- Session keys ---
+// Version 1: one key, empty-salt HKDF. Version 2: request and response keys
+// salted with SHA-384(server SPKI) and bound to the version, direction and
+// the client's ephemeral public key.
+export async function deriveSessionKeys(serverKeyPair, { version, ephemeralPubkey }) {
+    const clientKey = await subtle.importKey('spki', fromBase64(ephemeralPubkey), { name: 'ECDH', namedCurve: 'P-384' }, false, []);
+    const sharedSecret = await subtle.deriveBits({ name: 'ECDH', public: clientKey }, serverKeyPair.privateKey, 384);
+    const keyMaterial = await subtle.importKey('raw', sharedSecret, { name: 'HKDF' }, false, ['deriveKey']);
+    const derive = (salt, info) => subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-384', salt, info: encoder.encode(info) },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+    if (version === 1) {
+        const key = await derive(new Uint8Array(), 'secure-cipher-session-key');
+        return { requestKey: key, responseKey: key };
+    }
+    const salt = await subtle.digest('SHA-384', serverKeyPair.spki);
+    return {
+        requestKey: await derive(salt, `secure-cipher/v${version}/request/${ephemeralPubkey}`),
+        responseKey: await derive(salt, `secure-cipher/v${version}/response/${ephemeralPubkey}`),
+    };
+}
+
+export function envelopeAad(headers, direction) {
+    if (headers.protocol_version === 1) return undefined;
+    return encoder.encode(canonicalizeJson({ ...headers, direction }));
+}
+
+// --- AES-GCM ---
+export async function decrypt({ ciphertext, iv }, key, additionalData) {
+    const plaintext = await subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(iv), ...(additionalData && { additionalData }) },
+        key,
+        fromBase64(ciphertext)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+export async function encrypt(payload, key, additionalData) {
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await subtle.encrypt(
+        { name: 'AES-GCM', iv, ...(additionalData && { additionalData }) },
+        key,
+        encoder.encode(JSON.stringify(payload))
+    );
+    return { ciphertext: toBase64(ciphertext), iv: toBase64(iv) };
+}
@@ -0,0 +1,68 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createMockGateway } from './gateway.js';
+
+// --- Vite dev server plugin ---
+// Serves the mock gateway from the dev server itself, so every screen works
+// without the Django middleware. `stateFile`, when set, keeps the ledger
+// across dev server restarts; without it each restart starts from scratch.
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+function loadState(file) {
+    if (!file || !fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export default function mockGateway({ stateFile = null, seed } = {}) {
+    return {
+        name: 'securecipher-mock-gateway',
+        apply: 'serve',
+        configureServer(server) {
+            const logger = server.config.logger;
+            const file = stateFile && path.resolve(server.config.root, stateFile);
+            const gateway = createMockGateway({
+                seed,
+                state: loadState(file),
+                log: message => logger.info(`[mock-gateway] ${message}`),
+                onChange: ledger => {
+                    if (!file) return;
+                    fs.mkdirSync(path.dirname(file), { recursive: true });
+                    fs.writeFileSync(file, JSON.stringify(ledger.toJSON(), null, 2));
+                },
+            });
+            gateway.serverKeyFingerprint().then(fingerprint => {
+                logger.info(`[mock-gateway] Serving /api locally; server key fingerprint ${fingerprint}`);
+            });
+
+            server.middlewares.use(async (req, res, next) => {
+                const { pathname } = new URL(req.url, 'http://localhost');
+                if (!pathname.startsWith('/api/')) return next();
+                try {
+                    const raw = req.method === 'POST' ? await readBody(req) : '';
+                    let body = null;
+                    try {
+                        body = raw ? JSON.parse(raw) : null;
+                    } catch {
+                        body = null;
+                    }
+                    const result = await gateway.handle({ method: req.method, path: pathname, body })
+                        || { status: 404, body: { error: 'Not found.' } };
+                    res.statusCode = result.status;
+                    res.setHeader('Content-Type', 'application/json');
+                    res.end(JSON.stringify(result.body));
+                } catch (err) {
+                    next(err);
+                }
+            });
+        },
+    };
+}
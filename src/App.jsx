@@ -1,3 +1,4 @@
+import { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 
 // Layouts
@@ -8,76 +9,129 @@ import Layout from './components/layout/Layout';
 // Pages
 import Registration from './pages/Registration';
 import Login from './pages/Login';
+import RestoreBackup from './pages/RestoreBackup';
+import RestorePhrase from './pages/RestorePhrase';
+import LinkDevice from './pages/LinkDevice';
 import Dashboard from './pages/Dashboard';
 import SendMoney from './pages/SendMoney';
+import Beneficiaries from './pages/Beneficiaries';
+import ScheduledTransfers from './pages/ScheduledTransfers';
 import SecurityDetails from './pages/SecurityDetails';
+import Devices from './pages/Devices';
 import Settings from './pages/Settings';
+import ChangePin from './pages/ChangePin';
 import NotFound from './pages/NotFound';
 import ServerError from './pages/ServerError';
+import ServerKeyWarning from './pages/ServerKeyWarning';
 
 // Error Handling
 import ErrorBoundary from './components/common/ErrorBoundary';
 
+// Session
+import { SessionProvider, useSession } from './context/SessionContext';
+import RequireUnlocked from './components/common/RequireUnlocked';
+import ServerKeyMonitor, { SERVER_KEY_WARNING_PATH } from './components/common/ServerKeyMonitor';
+
 // Styles
 import './App.css';
 
 import RecentTransactions from './components/dashboard/RecentTransactions';
 
+import * as SecureKeyManager from './utils/SecureKeyManager';
+
+// Root redirect: send new users to register, returning users to unlock their key
+function RootRedirect() {
+  const { isUnlocked } = useSession();
+  const [target, setTarget] = useState(isUnlocked ? '/dashboard' : null);
+
+  useEffect(() => {
+    if (isUnlocked) return;
+    SecureKeyManager.fetchEncryptedPrivateKey()
+      .then(keyData => setTarget(keyData ? '/login' : '/register'))
+      .catch(() => setTarget('/register'));
+  }, [isUnlocked]);
+
+  return target ? <Navigate to={target} /> : null;
+}
+
 function AppRoutes() {
-  // Use localStorage for authentication check
-  const isAuthenticated = !!localStorage.getItem('userProfile');
   return (
     <Routes>
-      {/* Root redirect: send new users to register, authenticated users to dashboard */}
-      <Route path="/" element={isAuthenticated ? <Navigate to="/dashboard" /> : <Navigate to="/register" />} />
+      <Route path="/" element={<RootRedirect />} />
       
       {/* Public routes */}
       <Route path="/register" element={<Registration />} /> 
       <Route path="/login" element={<Login />} />
+      <Route path="/restore-backup" element={<RestoreBackup />} />
+      <Route path="/restore-phrase" element={<RestorePhrase />} />
+      <Route path="/link-device" element={<LinkDevice />} />
       
 
       
-      {/* Protected routes with Layout */}
-      <Route path="/dashboard" element={
-        <Layout>
-          <Dashboard />
-        </Layout>
-      } />
-      <Route path="/send-money" element={
-        <Layout>
-          <SendMoney />
-        </Layout>
-      } />
-      <Route path="/security" element={
-        <Layout>
-          <SecurityDetails />
-        </Layout>
-      } />
-      <Route path="/settings" element={
-        <Layout>
-          <Settings />
-        </Layout>
-      } />
+      {/* Protected routes with Layout: require an unlocked identity key */}
+      <Route element={<RequireUnlocked />}>
+        <Route path="/dashboard" element={
+          <Layout>
+            <Dashboard />
+          </Layout>
+        } />
+        <Route path="/send-money" element={
+          <Layout>
+            <SendMoney />
+          </Layout>
+        } />
+        <Route path="/beneficiaries" element={
+          <Layout>
+            <Beneficiaries />
+          </Layout>
+        } />
+        <Route path="/transfers/scheduled" element={
+          <Layout>
+            <ScheduledTransfers />
+          </Layout>
+        } />
+        <Route path="/security" element={
+          <Layout>
+            <SecurityDetails />
+          </Layout>
+        } />
+        <Route path="/security/devices" element={
+          <Layout>
+            <Devices />
+          </Layout>
+        } />
+        <Route path="/settings" element={
+          <Layout>
+            <Settings />
+          </Layout>
+        } />
+        <Route path="/settings/change-pin" element={
+          <Layout>
+            <ChangePin />
+          </Layout>
+        } />
       
-      {/* Placeholder routes for future features */}
-      <Route path="/cards" element={
-        <Layout>
-          <div className="p-6 text-center">
-            <h1 className="text-2xl font-semibold text-gray-800 mb-4">My Cards</h1>
-            <p className="text-gray-600">This feature is coming soon.</p>
-          </div>
-        </Layout>
-      } />
-      <Route path="/transactions" element={
-        <Layout>
-          <div className="p-6 text-center">
-            <RecentTransactions />
-          </div>
-        </Layout>
-      } />
+        {/* Placeholder routes for future features */}
+        <Route path="/cards" element={
+          <Layout>
+            <div className="p-6 text-center">
+              <h1 className="text-2xl font-semibold text-gray-800 mb-4">My Cards</h1>
+              <p className="text-gray-600">This feature is coming soon.</p>
+            </div>
+          </Layout>
+        } />
+        <Route path="/transactions" element={
+          <Layout>
+            <div className="p-6 text-center">
+              <RecentTransactions />
+            </div>
+          </Layout>
+        } />
+      </Route>
       
       {/* Error routes */}
       <Route path="/server-error" element={<ServerError />} />
+      <Route path={SERVER_KEY_WARNING_PATH} element={<ServerKeyWarning />} />
       <Route path="*" element={<NotFound />} />
     </Routes>
   );
@@ -86,9 +140,12 @@ function AppRoutes() {
 function App() {
   return (
     <ErrorBoundary>
-      <Router>
-        <AppRoutes />
-      </Router>
+      <SessionProvider>
+        <Router>
+          <ServerKeyMonitor />
+          <AppRoutes />
+        </Router>
+      </SessionProvider>
     </ErrorBoundary>
   );
 }
@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Search, Check } from 'lucide-react';
+
+// Case-insensitive match on nickname, holder name or account number
+function matches(beneficiary, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  return [beneficiary.nickname, beneficiary.account_name, beneficiary.account_number]
+    .some(field => field?.toLowerCase().includes(needle));
+}
+
+export default function BeneficiaryPicker({ beneficiaries, selected, onSelect }) {
+  const [query, setQuery] = useState('');
+
+  if (!beneficiaries?.length) return null;
+  const results = beneficiaries.filter(b => matches(b, query));
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <label htmlFor="beneficiary_search" className="block text-sm font-medium text-gray-700">
+          Saved Beneficiaries
+        </label>
+        <Link to="/beneficiaries" className="text-sm text-green-600 hover:text-green-800">
+          Manage
+        </Link>
+      </div>
+      <div className="relative mt-1">
+        <Search className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" />
+        <input
+          type="search"
+          id="beneficiary_search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="block w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+          placeholder="Search by name, nickname or account number"
+        />
+      </div>
+      <ul className="mt-2 max-h-48 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+        {results.map(beneficiary => {
+          const isSelected = beneficiary.account_number === selected;
+          return (
+            <li key={beneficiary.account_number}>
+              <button
+                type="button"
+                onClick={() => onSelect(beneficiary)}
+                className={`w-full flex items-center justify-between px-3 py-2 text-left hover:bg-gray-50 ${isSelected ? 'bg-green-50' : ''}`}
+              >
+                <div>
+                  <p className="text-sm font-medium text-gray-800">{beneficiary.nickname || beneficiary.account_name}</p>
+                  <p className="text-xs text-gray-500">
+                    {beneficiary.nickname && `${beneficiary.account_name} · `}{beneficiary.account_number}
+                  </p>
+                </div>
+                {isSelected && <Check className="h-4 w-4 text-green-600" />}
+              </button>
+            </li>
+          );
+        })}
+        {results.length === 0 && (
+          <li className="px-3 py-2 text-sm text-gray-500">No saved beneficiaries match your search.</li>
+        )}
+      </ul>
+    </div>
+  );
+}
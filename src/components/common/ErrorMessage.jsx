@@ -0,0 +1,23 @@
+import { Link } from 'react-router-dom';
+import { AlertCircle } from 'lucide-react';
+
+// Renders a describeError() result: the message and, when there is one, a
+// link to the page that helps the user recover. Plain strings work too.
+export default function ErrorMessage({ error, className = '' }) {
+  if (!error) return null;
+  const { message, action } = typeof error === 'string' ? { message: error, action: null } : error;
+
+  return (
+    <div className={`flex items-start space-x-2 text-sm text-red-600 p-3 bg-red-50 rounded-md ${className}`}>
+      <AlertCircle className="h-5 w-5 flex-shrink-0" />
+      <div>
+        <p>{message}</p>
+        {action && (
+          <Link to={action.to} className="mt-1 inline-block font-medium text-green-600 hover:text-green-500">
+            {action.label}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Lock } from 'lucide-react';
+import { useSession } from '../../context/SessionContext';
+import { describeError } from '../../utils/describeError';
+import ErrorMessage from './ErrorMessage';
+
+// Overlay shown after an idle auto-lock. Unlocking re-renders the current route.
+export default function LockScreen() {
+  const { unlock, lock, timeoutMinutes } = useSession();
+  const navigate = useNavigate();
+  const [pin, setPin] = useState('');
+  const [pinError, setPinError] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
+
+  const handlePinSubmit = async (e) => {
+    e.preventDefault();
+    setIsVerifying(true);
+    setPinError('');
+    try {
+      await unlock(pin);
+    } catch (err) {
+      setPinError(describeError(err, 'Invalid PIN. Please try again.'));
+      setPin('');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const handleSignOut = () => {
+    lock();
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-60 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg p-8 max-w-sm w-full">
+        <h2 className="text-xl font-bold mb-2 text-gray-800 flex items-center">
+          <Lock className="h-6 w-6 text-green-600 mr-2" />
+          Session Locked
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          You were inactive for {timeoutMinutes} minute{timeoutMinutes === 1 ? '' : 's'}. Enter your PIN to continue where you left off.
+        </p>
+        <form onSubmit={handlePinSubmit} className="space-y-4">
+          <input
+            type="password"
+            inputMode="numeric"
+            pattern="[0-9]*"
+            maxLength={6}
+            autoFocus
+            required
+            value={pin}
+            onChange={e => setPin(e.target.value.replace(/[^0-9]/g, ''))}
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500"
+            placeholder="Enter your 6-digit PIN"
+            disabled={isVerifying}
+          />
+          <ErrorMessage error={pinError} />
+          <button
+            type="submit"
+            disabled={isVerifying || pin.length !== 6}
+            className="w-full py-2 px-4 bg-green-600 text-white rounded-md font-medium hover:bg-green-700 disabled:bg-gray-400"
+          >
+            {isVerifying ? 'Verifying...' : 'Unlock'}
+          </button>
+        </form>
+        <button
+          onClick={handleSignOut}
+          className="mt-4 w-full text-sm text-gray-500 hover:text-gray-700"
+        >
+          Sign out instead
+        </button>
+      </div>
+    </div>
+  );
+}
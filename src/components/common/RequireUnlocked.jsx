@@ -0,0 +1,22 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useSession } from '../../context/SessionContext';
+import LockScreen from './LockScreen';
+
+// Route wrapper for pages that need the identity key unlocked. Signed-out users
+// are sent to /login, which returns them here after a successful unlock.
+// After an idle auto-lock the page is unmounted (dropping any decrypted data it
+// held) and replaced by the lock screen, leaving the URL untouched.
+export default function RequireUnlocked({ children }) {
+  const { isUnlocked, isLocked } = useSession();
+  const location = useLocation();
+
+  if (isLocked) {
+    return <LockScreen />;
+  }
+
+  if (!isUnlocked) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  return children || <Outlet />;
+}
@@ -0,0 +1,28 @@
+import { useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { getSetting } from '../../utils/SecureStorage';
+import { SERVER_KEY_MISMATCH_SETTING, SERVER_KEY_MISMATCH_EVENT } from '../../utils/SecureKeyManager';
+
+export const SERVER_KEY_WARNING_PATH = '/server-key-warning';
+
+// Sends the user to the warning screen whenever the middleware presents a key
+// that does not match the pinned fingerprint, including after a reload.
+export default function ServerKeyMonitor() {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  useEffect(() => {
+    const showWarning = () => {
+      if (location.pathname !== SERVER_KEY_WARNING_PATH) {
+        navigate(SERVER_KEY_WARNING_PATH, { state: { from: location } });
+      }
+    };
+    getSetting(SERVER_KEY_MISMATCH_SETTING)
+      .then(mismatch => { if (mismatch) showWarning(); })
+      .catch(() => {});
+    window.addEventListener(SERVER_KEY_MISMATCH_EVENT, showWarning);
+    return () => window.removeEventListener(SERVER_KEY_MISMATCH_EVENT, showWarning);
+  }, [navigate, location]);
+
+  return null;
+}
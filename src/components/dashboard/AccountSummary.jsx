@@ -1,30 +1,28 @@
 import { Wallet, TrendingUp, EyeOff, Eye } from 'lucide-react';
 import { useState, useEffect } from 'react';
+import * as SecureVault from '../../utils/SecureVault';
+import { displayAmount } from '../../utils/money';
+import { describeError } from '../../utils/describeError';
+import ErrorMessage from '../common/ErrorMessage';
 
 export default function AccountSummary() {
   const [isBalanceHidden, setIsBalanceHidden] = useState(false);
   const [accounts, setAccounts] = useState([]);
-  const [user, setUser] = useState({});
+  const [loadError, setLoadError] = useState('');
 
-  // Load user and accounts from localStorage
+  // Load accounts from the local cache
   useEffect(() => {
-    const userData = localStorage.getItem('userProfile');
-    const accountData = localStorage.getItem('userAccounts');
-    if (userData) setUser(JSON.parse(userData));
-    if (accountData) setAccounts(JSON.parse(accountData));
+    SecureVault.getAccounts()
+      .then(setAccounts)
+      .catch(err => {
+        setAccounts([]);
+        setLoadError(describeError(err, 'Could not read your accounts on this device.'));
+      });
   }, []);
 
   // Find the primary account
   const primaryAccount = accounts.find(acc => acc.is_primary) || accounts[0] || {};
 
-  // Format number to Nigerian Naira
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-NG', {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    }).format(amount || 0);
-  };
-
   const toggleBalanceVisibility = () => {
     setIsBalanceHidden(!isBalanceHidden);
   };
@@ -53,7 +51,7 @@ export default function AccountSummary() {
           <div className="flex items-baseline">
             <span className="text-2xl font-bold text-white mr-1">₦</span>
             <h3 className="text-3xl font-bold text-white">
-              {isBalanceHidden ? '•••••••' : formatCurrency(primaryAccount.available_balance)}
+              {isBalanceHidden ? '•••••••' : displayAmount(primaryAccount.available_balance, { symbol: false })}
             </h3>
           </div>
         </div>
@@ -74,6 +72,7 @@ export default function AccountSummary() {
           <p className="text-sm font-medium text-gray-800">{primaryAccount.account_type || '...'}</p>
         </div>
       </div>
+      <ErrorMessage error={loadError} className="m-4" />
     </div>
   );
 }
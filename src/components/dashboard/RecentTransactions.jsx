@@ -1,14 +1,23 @@
 import { ArrowUpRight, ArrowDownLeft, ChevronRight } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { useState, useEffect } from 'react';
+import * as SecureVault from '../../utils/SecureVault';
+import { displayAmount } from '../../utils/money';
+import { describeError } from '../../utils/describeError';
+import ErrorMessage from '../common/ErrorMessage';
 
 export default function RecentTransactions() {
   const [transactions, setTransactions] = useState([]);
+  const [loadError, setLoadError] = useState('');
 
-  // Load transactions from localStorage
+  // Load transactions from the local cache
   useEffect(() => {
-    const txnData = localStorage.getItem('userTransactions');
-    if (txnData) setTransactions(JSON.parse(txnData));
+    SecureVault.getTransactions()
+      .then(setTransactions)
+      .catch(err => {
+        setTransactions([]);
+        setLoadError(describeError(err, 'Could not read your transactions on this device.'));
+      });
   }, []);
 
   // Sort by date (newest first) and limit to 5
@@ -27,14 +36,6 @@ export default function RecentTransactions() {
     });
   };
 
-  // Format amount with Naira symbol
-  const formatAmount = (amount) => {
-    return new Intl.NumberFormat('en-NG', {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    }).format(amount);
-  };
-
   return (
     <div className="bg-white rounded-lg shadow overflow-hidden">
       <div className="flex items-center justify-between p-6 border-b border-gray-200">
@@ -46,9 +47,10 @@ export default function RecentTransactions() {
           </Link>
         </div>
       </div>
+      <ErrorMessage error={loadError} className="m-6" />
       <ul className="divide-y divide-gray-200">
         {sortedTransactions.length === 0 ? (
-          <li className="p-6 text-gray-500 text-center">No transactions found.</li>
+          !loadError && <li className="p-6 text-gray-500 text-center">No transactions found.</li>
         ) : (
           sortedTransactions.map((txn) => (
             <li key={txn.id} className="flex items-center justify-between p-6">
@@ -65,7 +67,7 @@ export default function RecentTransactions() {
               </div>
               <div className="text-right">
                 <p className={`text-sm font-bold ${txn.transaction_type === 'Credit' ? 'text-green-600' : 'text-red-600'}`}>
-                  {txn.transaction_type === 'Credit' ? '+' : '-'}₦{formatAmount(txn.amount)}
+                  {txn.transaction_type === 'Credit' ? '+' : '-'}{displayAmount(txn.amount)}
                 </p>
                 <p className="text-xs text-gray-400">{txn.status}</p>
               </div>
@@ -1,11 +1,12 @@
 import { PieChart, Home, ShoppingBag, Coffee } from 'lucide-react';
+import { displayAmount } from '../../utils/money';
 
 export default function SpendingInsights() {
   const categories = [
-    { name: 'Housing', amount: 75000, percentage: 45, icon: <Home className="h-4 w-4" />, color: 'bg-blue-500' },
-    { name: 'Shopping', amount: 40000, percentage: 25, icon: <ShoppingBag className="h-4 w-4" />, color: 'bg-purple-500' },
-    { name: 'Food', amount: 30000, percentage: 18, icon: <Coffee className="h-4 w-4" />, color: 'bg-yellow-500' },
-    { name: 'Others', amount: 20000, percentage: 12, icon: null, color: 'bg-gray-500' },
+    { name: 'Housing', amount: '75000.00', percentage: 45, icon: <Home className="h-4 w-4" />, color: 'bg-blue-500' },
+    { name: 'Shopping', amount: '40000.00', percentage: 25, icon: <ShoppingBag className="h-4 w-4" />, color: 'bg-purple-500' },
+    { name: 'Food', amount: '30000.00', percentage: 18, icon: <Coffee className="h-4 w-4" />, color: 'bg-yellow-500' },
+    { name: 'Others', amount: '20000.00', percentage: 12, icon: null, color: 'bg-gray-500' },
   ];
 
   return (
@@ -27,7 +28,7 @@ export default function SpendingInsights() {
                 )}
                 <span className="text-sm text-gray-700">{category.name}</span>
               </div>
-              <span className="text-sm font-medium text-gray-800">₦{category.amount.toLocaleString()}</span>
+              <span className="text-sm font-medium text-gray-800">{displayAmount(category.amount)}</span>
             </div>
             <div className="w-full bg-gray-200 rounded-full h-2">
               <div 
@@ -3,6 +3,8 @@ import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { 
   Home, 
   Send, 
+  Users,
+  CalendarClock,
   CreditCard, 
   ClipboardList, 
   Shield, 
@@ -12,25 +14,25 @@ import {
   X,
   Zap
 } from 'lucide-react';
+import { useSession } from '../../context/SessionContext';
 
 export default function Layout({ children }) {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const location = useLocation();
   const navigate = useNavigate();
+  const { lock } = useSession();
 
-  // Remove useAuth, use localStorage for logout
+  // Wipe the identity and vault keys from memory; the cached data stays encrypted at rest
   const handleLogout = () => {
-    // Clear user data from localStorage
-    localStorage.removeItem('userProfile');
-    localStorage.removeItem('userAccounts');
-    localStorage.removeItem('userTransactions');
-    localStorage.removeItem('keyUnlocked');
-    navigate('/login');
+    lock();
+    navigate('/login', { replace: true });
   };
 
   const navItems = [
     { path: '/dashboard', label: 'Dashboard', icon: <Home className="w-5 h-5" /> },
     { path: '/send-money', label: 'Send Money', icon: <Send className="w-5 h-5" /> },
+    { path: '/beneficiaries', label: 'Beneficiaries', icon: <Users className="w-5 h-5" /> },
+    { path: '/transfers/scheduled', label: 'Scheduled', icon: <CalendarClock className="w-5 h-5" /> },
     { path: '/cards', label: 'My Cards', icon: <CreditCard className="w-5 h-5" /> },
     { path: '/transactions', label: 'Transactions', icon: <ClipboardList className="w-5 h-5" /> },
     { path: '/security', label: 'Security', icon: <Shield className="w-5 h-5" /> },
@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { Download, Check, Loader2 } from 'lucide-react';
+import { useSession } from '../../context/SessionContext';
+import { createKeyBackup, validatePassphrase, MIN_PASSPHRASE_LENGTH } from '../../utils/KeyBackup';
+import { describeError } from '../../utils/describeError';
+import ErrorMessage from '../common/ErrorMessage';
+import PinPrompt from '../common/PinPrompt';
+
+export default function KeyBackupCard() {
+  const { identity, verifyPin } = useSession();
+  const [formData, setFormData] = useState({ passphrase: '', confirm_passphrase: '' });
+  const [errors, setErrors] = useState({});
+  const [exportError, setExportError] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+  const [exported, setExported] = useState(false);
+  // The private key only leaves the device after the PIN is entered again
+  const [confirmingPin, setConfirmingPin] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: null }));
+    setExportError('');
+    setExported(false);
+  };
+
+  const handleExport = (e) => {
+    e.preventDefault();
+    const allErrors = validatePassphrase(formData.passphrase, formData.confirm_passphrase);
+    setErrors(allErrors);
+    if (Object.keys(allErrors).length > 0) return;
+    setConfirmingPin(true);
+  };
+
+  const downloadBackup = async () => {
+    setIsExporting(true);
+    setExportError('');
+    try {
+      const backup = await createKeyBackup(identity, formData.passphrase);
+      const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `securecipher-key-backup-${backup.key_id.slice(0, 8)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      setFormData({ passphrase: '', confirm_passphrase: '' });
+      setExported(true);
+    } catch (err) {
+      setExportError(describeError(err, 'Could not create the backup file.'));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleConfirmPin = async (pin) => {
+    await verifyPin(pin);
+    setConfirmingPin(false);
+    await downloadBackup();
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-6">
+      <div className="flex items-center mb-4">
+        <Download className="h-6 w-6 text-green-600 mr-2" />
+        <h2 className="text-lg font-medium text-gray-800">Back Up Your Key</h2>
+      </div>
+      <p className="text-gray-600 mb-4">
+        Download an encrypted copy of your private key. If this browser's storage is cleared, you can restore your identity from the file on the sign-in screen.
+        The file is protected by a backup passphrase, separate from your PIN. Without the passphrase the file cannot be used.
+      </p>
+      <form onSubmit={handleExport} className="space-y-4" autoComplete="off">
+        <div>
+          <label htmlFor="passphrase" className="block text-sm font-medium text-gray-700">
+            Backup Passphrase
+          </label>
+          <input
+            id="passphrase"
+            name="passphrase"
+            type="password"
+            autoComplete="new-password"
+            value={formData.passphrase}
+            onChange={handleChange}
+            disabled={isExporting}
+            placeholder={`At least ${MIN_PASSPHRASE_LENGTH} characters`}
+            className={`mt-1 block w-full px-3 py-2 border ${errors.passphrase ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm`}
+          />
+          {errors.passphrase && <p className="mt-2 text-sm text-red-600">{errors.passphrase}</p>}
+        </div>
+        <div>
+          <label htmlFor="confirm_passphrase" className="block text-sm font-medium text-gray-700">
+            Confirm Passphrase
+          </label>
+          <input
+            id="confirm_passphrase"
+            name="confirm_passphrase"
+            type="password"
+            autoComplete="new-password"
+            value={formData.confirm_passphrase}
+            onChange={handleChange}
+            disabled={isExporting}
+            className={`mt-1 block w-full px-3 py-2 border ${errors.confirm_passphrase ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm`}
+          />
+          {errors.confirm_passphrase && <p className="mt-2 text-sm text-red-600">{errors.confirm_passphrase}</p>}
+        </div>
+
+        <ErrorMessage error={exportError} />
+        {exported && (
+          <div className="flex items-center space-x-2 text-sm text-green-700">
+            <Check className="h-5 w-5" />
+            <span>Backup downloaded. Store it somewhere safe and offline.</span>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={isExporting || !identity}
+          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:bg-gray-400"
+        >
+          {isExporting ? (
+            <>
+              <Loader2 className="animate-spin h-5 w-5 mr-2" />
+              Encrypting backup...
+            </>
+          ) : (
+            <>
+              <Download className="h-5 w-5 mr-2" />
+              Download Backup File
+            </>
+          )}
+        </button>
+      </form>
+
+      {confirmingPin && (
+        <PinPrompt
+          title="Confirm Backup"
+          description="Enter your PIN to export an encrypted copy of your private key."
+          confirmLabel="Download"
+          onConfirm={handleConfirmPin}
+          onCancel={() => setConfirmingPin(false)}
+        />
+      )}
+    </div>
+  );
+}
@@ -18,7 +18,6 @@ export default function EditProfile() {
   const handleSubmit = (e) => {
     e.preventDefault();
     // In a real app, this would update the user's profile
-    console.log('Updated profile data:', formData);
     alert('Profile updated successfully!');
   };
 
@@ -1,6 +1,11 @@
 import { useState } from 'react';
 import { Lock, Shield, AlertTriangle, ChevronRight } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
+import { useSession } from '../../context/SessionContext';
+import { describeError } from '../../utils/describeError';
+import ErrorMessage from '../common/ErrorMessage';
+
+const AUTO_LOCK_OPTIONS = [1, 2, 5, 10, 15, 30];
 
 export default function SecuritySettings() {
   const [formData, setFormData] = useState({
@@ -10,19 +15,29 @@ export default function SecuritySettings() {
     device_management: true
   });
   const navigate = useNavigate();
+  const { timeoutMinutes, updateTimeoutMinutes } = useSession();
+  const [timeoutError, setTimeoutError] = useState('');
+
+  // The select only moves once the new timeout is saved
+  const handleTimeoutChange = async (e) => {
+    setTimeoutError('');
+    try {
+      await updateTimeoutMinutes(Number(e.target.value));
+    } catch (err) {
+      setTimeoutError(describeError(err, 'Could not save the auto-lock setting.'));
+    }
+  };
   
   const handleToggle = (name) => {
     setFormData(prev => ({ ...prev, [name]: !prev[name] }));
   };
   
   const navigateToResetPin = () => {
-    // In a real app, navigate to PIN reset page
-    alert('Navigate to PIN reset page');
+    navigate('/settings/change-pin');
   };
   
   const navigateToDevices = () => {
-    // In a real app, navigate to devices page
-    alert('Navigate to devices page');
+    navigate('/security/devices');
   };
 
   return (
@@ -60,6 +75,29 @@ export default function SecuritySettings() {
           </div>
         </div>
         
+        <div className="border-b border-gray-200 pb-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="text-md font-medium text-gray-800">Auto-Lock</h3>
+              <p className="text-sm text-gray-500">Lock the app and require your PIN after a period of inactivity</p>
+            </div>
+            <select
+              id="auto-lock-timeout"
+              aria-label="Auto-lock timeout"
+              value={timeoutMinutes}
+              onChange={handleTimeoutChange}
+              className="text-sm border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-green-500 focus:border-green-500"
+            >
+              {AUTO_LOCK_OPTIONS.map(minutes => (
+                <option key={minutes} value={minutes}>
+                  {minutes} minute{minutes === 1 ? '' : 's'}
+                </option>
+              ))}
+            </select>
+          </div>
+          <ErrorMessage error={timeoutError} className="mt-3" />
+        </div>
+        
         <div className="border-b border-gray-200 pb-4">
           <div className="flex items-center justify-between mb-4">
             <div>
@@ -0,0 +1,94 @@
+import { localDate } from '../../utils/StandingOrder';
+
+// `value` is { frequency, startDate, endDate }, where frequency is 'now' for an
+// immediate transfer or one of the standing order frequencies. `errors` comes
+// from validateSchedule().
+const TIMINGS = [
+  { id: 'now', label: 'Send now', frequency: 'now' },
+  { id: 'later', label: 'On a later date', frequency: 'once' },
+  { id: 'recurring', label: 'Repeat', frequency: 'monthly' },
+];
+
+const timingOf = (frequency) => (frequency === 'now' ? 'now' : frequency === 'once' ? 'later' : 'recurring');
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm';
+
+export default function ScheduleOptions({ value, onChange, errors = {}, allowNow = true }) {
+  const timing = timingOf(value.frequency);
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+
+  return (
+    <div>
+      <span className="block text-sm font-medium text-gray-700">When should this payment be sent?</span>
+      <div className={`mt-2 grid gap-2 ${allowNow ? 'grid-cols-3' : 'grid-cols-2'}`}>
+        {TIMINGS.filter(t => allowNow || t.id !== 'now').map(t => (
+          <button
+            key={t.id}
+            type="button"
+            aria-pressed={timing === t.id}
+            onClick={() => timing !== t.id && update({ frequency: t.frequency })}
+            className={`px-3 py-2 text-sm rounded-md border ${timing === t.id
+              ? 'border-green-600 bg-green-50 text-green-700'
+              : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {timing !== 'now' && (
+        <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {timing === 'recurring' && (
+            <div className="sm:col-span-2">
+              <label htmlFor="frequency" className="block text-sm font-medium text-gray-700">
+                Repeat
+              </label>
+              <select
+                id="frequency"
+                value={value.frequency}
+                onChange={(e) => update({ frequency: e.target.value })}
+                className={inputClass}
+              >
+                <option value="weekly">Every week</option>
+                <option value="monthly">Every month</option>
+              </select>
+            </div>
+          )}
+          <div>
+            <label htmlFor="start_date" className="block text-sm font-medium text-gray-700">
+              {timing === 'recurring' ? 'First payment' : 'Payment date'}
+            </label>
+            <input
+              type="date"
+              id="start_date"
+              min={localDate(tomorrow)}
+              value={value.startDate || ''}
+              onChange={(e) => update({ startDate: e.target.value })}
+              className={inputClass}
+            />
+            {errors.start_date && <p className="mt-2 text-sm text-red-600">{errors.start_date}</p>}
+          </div>
+          {timing === 'recurring' && (
+            <div>
+              <label htmlFor="end_date" className="block text-sm font-medium text-gray-700">
+                Last payment
+              </label>
+              <input
+                type="date"
+                id="end_date"
+                min={value.startDate || localDate(tomorrow)}
+                value={value.endDate || ''}
+                onChange={(e) => update({ endDate: e.target.value })}
+                className={inputClass}
+              />
+              {errors.end_date && <p className="mt-2 text-sm text-red-600">{errors.end_date}</p>}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
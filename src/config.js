@@ -0,0 +1,90 @@
+// --- Runtime configuration ---
+// Endpoints and pins come from Vite env variables (see .env.example). The
+// profile picks the defaults; anything set in the env overrides them.
+//
+//   VITE_APP_PROFILE             dev | staging | prod (defaults from the Vite mode)
+//   VITE_API_BASE_URL            origin of the middleware; empty = same origin
+//   VITE_SERVER_KEY_FINGERPRINT  build-time pin for the middleware ECDH key
+//   VITE_LOG_LEVEL               debug | info | warn | error | silent (no debug in production builds)
+
+const PROFILES = {
+    // Same-origin relative paths, forwarded to the backend by the /api proxy in vite.config.js
+    dev: { apiBaseUrl: '', requireHttps: false, logLevel: 'debug' },
+    staging: { apiBaseUrl: '', requireHttps: true, logLevel: 'info' },
+    prod: { apiBaseUrl: '', requireHttps: true, logLevel: 'warn' },
+};
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const MODE_PROFILES = { development: 'dev', test: 'dev', staging: 'staging', production: 'prod' };
+
+const GATEWAY_PATH = '/api/secure/gateway/';
+const PUBLIC_KEY_PATH = '/api/middleware/public-key/';
+
+function resolveProfile(env) {
+    const name = env.VITE_APP_PROFILE || MODE_PROFILES[env.MODE] || 'prod';
+    if (!PROFILES[name]) {
+        throw new Error(`[Config] Unknown VITE_APP_PROFILE "${name}". Use one of: ${Object.keys(PROFILES).join(', ')}`);
+    }
+    return name;
+}
+
+function resolveBaseUrl(value, requireHttps) {
+    const baseUrl = (value ?? '').trim().replace(/\/+$/, '');
+    if (!baseUrl) {
+        // Relative URLs inherit the page's scheme, so the page itself must be
+        // served over HTTPS (browsers also count localhost as a secure context)
+        if (requireHttps && globalThis.location && globalThis.isSecureContext === false) {
+            throw new Error('[Config] This build must be served over https:// when VITE_API_BASE_URL is empty');
+        }
+        return '';
+    }
+    let url;
+    try {
+        url = new URL(baseUrl);
+    } catch {
+        throw new Error(`[Config] VITE_API_BASE_URL is not a valid URL: ${baseUrl}`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error('[Config] VITE_API_BASE_URL must start with http:// or https://');
+    }
+    if (requireHttps && url.protocol !== 'https:') {
+        throw new Error('[Config] VITE_API_BASE_URL must use https:// outside the dev profile');
+    }
+    return baseUrl;
+}
+
+function resolveFingerprint(value) {
+    const fingerprint = (value || '').trim().toLowerCase().replace(/[\s:]/g, '');
+    if (!fingerprint) return null;
+    if (!/^[0-9a-f]{64}$/.test(fingerprint)) {
+        throw new Error('[Config] VITE_SERVER_KEY_FINGERPRINT must be a hex SHA-256 fingerprint');
+    }
+    return fingerprint;
+}
+
+function resolveLogLevel(value) {
+    const level = value.trim().toLowerCase();
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`[Config] Unknown VITE_LOG_LEVEL "${value}". Use one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    return level;
+}
+
+export function loadConfig(env = import.meta.env) {
+    const profile = resolveProfile(env);
+    const defaults = PROFILES[profile];
+    const apiBaseUrl = resolveBaseUrl(env.VITE_API_BASE_URL ?? defaults.apiBaseUrl, defaults.requireHttps);
+    return Object.freeze({
+        profile,
+        apiBaseUrl,
+        gatewayUrl: `${apiBaseUrl}${GATEWAY_PATH}`,
+        publicKeyUrl: `${apiBaseUrl}${PUBLIC_KEY_PATH}`,
+        serverKeyFingerprint: resolveFingerprint(env.VITE_SERVER_KEY_FINGERPRINT),
+        logLevel: resolveLogLevel(env.VITE_LOG_LEVEL || defaults.logLevel),
+    });
+}
+
+const config = loadConfig();
+
+export default config;
@@ -0,0 +1,128 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import * as SecureKeyManager from '../utils/SecureKeyManager';
+import * as SecureVault from '../utils/SecureVault';
+import * as SessionKeyManager from '../utils/SessionKeyManager';
+import * as SecureStorage from '../utils/SecureStorage';
+import { guardPinAttempt, resetPinAttempts } from '../utils/PinGuard';
+import useIdleTimer from '../hooks/useIdleTimer';
+
+const SessionContext = createContext(null);
+
+export const SESSION_TIMEOUT_SETTING = 'session-timeout-minutes';
+export const DEFAULT_SESSION_TIMEOUT_MINUTES = 5;
+
+// 'signed-out': no session, pages redirect to /login
+// 'unlocked':   identity and vault keys are in memory
+// 'locked':     idle auto-lock wiped the keys; the lock screen asks for the PIN
+//               again and returns the user to the same route
+
+// Holds the unlocked identity keypair in memory for the lifetime of the session.
+// Nothing here is ever persisted: the key on disk stays wrapped under the PIN.
+export function SessionProvider({ children }) {
+  const [identity, setIdentity] = useState(null);
+  const [status, setStatus] = useState('signed-out');
+  const [timeoutMinutes, setTimeoutMinutes] = useState(DEFAULT_SESSION_TIMEOUT_MINUTES);
+
+  useEffect(() => {
+    SecureStorage.getSetting(SESSION_TIMEOUT_SETTING, DEFAULT_SESSION_TIMEOUT_MINUTES)
+      .then(setTimeoutMinutes)
+      .catch(() => {});
+  }, []);
+
+  // Decrypt the stored identity key with the PIN. Wrong guesses are counted
+  // and throttled by the PIN guard.
+  const openIdentity = useCallback(async (pin) => {
+    const keyData = await SecureKeyManager.requireEncryptedPrivateKey();
+    const { encrypted, salt, iv, publicKey } = keyData;
+    const keyPair = await guardPinAttempt(
+      () => SecureKeyManager.decryptPrivateKey(encrypted, pin, salt, iv, publicKey)
+    );
+    const keyId = keyData.keyId || await SecureKeyManager.computeKeyId(
+      await window.crypto.subtle.exportKey('spki', keyPair.publicKey)
+    );
+    return { ...keyPair, keyId, createdAt: keyData.createdAt };
+  }, []);
+
+  const unlock = useCallback(async (pin) => {
+    const unlocked = await openIdentity(pin);
+    await SecureVault.unlockVault(pin);
+    setIdentity(unlocked);
+    setStatus('unlocked');
+  }, [openIdentity]);
+
+  // Re-check the PIN for step-up authorization without touching the session
+  const verifyPin = useCallback(async (pin) => {
+    await openIdentity(pin);
+  }, [openIdentity]);
+
+  // Store a newly registered or restored identity and start the session with it
+  const enroll = useCallback(async (keyPair, pin, originalCreatedAt) => {
+    const { encrypted, salt, iv } = await SecureKeyManager.encryptPrivateKey(keyPair.privateKey, pin);
+    const { keyId, createdAt } = await SecureKeyManager.saveEncryptedPrivateKey(
+      encrypted, salt, iv, keyPair.publicKey, originalCreatedAt || undefined
+    );
+    await SecureVault.createVault(pin);
+    await resetPinAttempts();
+    setIdentity({ ...keyPair, keyId, createdAt });
+    setStatus('unlocked');
+  }, []);
+
+  // Re-wrap the identity key and the vault key under a new PIN. Both records
+  // are replaced in a single IndexedDB transaction, so an interrupted write
+  // leaves the old PIN working rather than losing the key.
+  const changePin = useCallback(async (currentPin, newPin) => {
+    const keyData = await SecureKeyManager.requireEncryptedPrivateKey();
+    const keyRecord = await guardPinAttempt(
+      () => SecureKeyManager.rewrapPrivateKey(keyData, currentPin, newPin)
+    );
+    const vaultRecord = await SecureVault.rewrapVaultKey(currentPin, newPin);
+    const entries = [[SecureStorage.IDENTITY_KEY, keyRecord]];
+    if (vaultRecord) entries.push([SecureStorage.VAULT_KEY, vaultRecord]);
+    await SecureStorage.putEntries(SecureStorage.STORES.KEYS, entries);
+  }, []);
+
+  // Sign out: wipe the keys from memory and forget the current route
+  const lock = useCallback(() => {
+    SecureVault.lockVault();
+    SessionKeyManager.resetSession();
+    setIdentity(null);
+    setStatus('signed-out');
+  }, []);
+
+  // Idle auto-lock: wipe the keys but keep the user where they were
+  const idleLock = useCallback(() => {
+    SecureVault.lockVault();
+    SessionKeyManager.resetSession();
+    setIdentity(null);
+    setStatus('locked');
+  }, []);
+
+  useIdleTimer(timeoutMinutes * 60 * 1000, idleLock, status === 'unlocked');
+
+  const updateTimeoutMinutes = useCallback(async (minutes) => {
+    await SecureStorage.saveSetting(SESSION_TIMEOUT_SETTING, minutes);
+    setTimeoutMinutes(minutes);
+  }, []);
+
+  const value = useMemo(() => ({
+    identity,
+    status,
+    isUnlocked: status === 'unlocked',
+    isLocked: status === 'locked',
+    timeoutMinutes,
+    unlock,
+    verifyPin,
+    enroll,
+    changePin,
+    lock,
+    updateTimeoutMinutes,
+  }), [identity, status, timeoutMinutes, unlock, verifyPin, enroll, changePin, lock, updateTimeoutMinutes]);
+
+  return <SessionContext.Provider value={value}>{children}</SessionContext.Provider>;
+}
+
+export function useSession() {
+  const session = useContext(SessionContext);
+  if (!session) throw new Error('useSession must be used within a SessionProvider');
+  return session;
+}
@@ -0,0 +1,47 @@
+import { useEffect, useRef } from 'react';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel', 'scroll'];
+
+// Calls onIdle once the user has produced no input for `timeoutMs`.
+// Browsers throttle timers in background tabs, so elapsed time is also
+// re-checked against the last activity timestamp whenever the tab is shown.
+export default function useIdleTimer(timeoutMs, onIdle, enabled = true) {
+  const onIdleRef = useRef(onIdle);
+  onIdleRef.current = onIdle;
+
+  useEffect(() => {
+    if (!enabled || !timeoutMs) return undefined;
+
+    let lastActivity = Date.now();
+    let timer = setTimeout(fire, timeoutMs);
+
+    function fire() {
+      onIdleRef.current();
+    }
+
+    function handleActivity() {
+      const now = Date.now();
+      // Mouse and scroll events arrive in bursts; reset at most once a second
+      if (now - lastActivity < 1000) return;
+      lastActivity = now;
+      clearTimeout(timer);
+      timer = setTimeout(fire, timeoutMs);
+    }
+
+    function handleVisibilityChange() {
+      if (document.visibilityState === 'visible' && Date.now() - lastActivity >= timeoutMs) {
+        clearTimeout(timer);
+        fire();
+      }
+    }
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true, capture: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity, { capture: true }));
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [timeoutMs, enabled]);
+}
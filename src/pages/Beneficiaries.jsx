@@ -0,0 +1,152 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Users, Trash2, Check, Loader2, RefreshCw, Send } from 'lucide-react';
+import { useSession } from '../context/SessionContext';
+import { listBeneficiaries, deleteBeneficiary } from '../services/beneficiaryApi';
+import * as SecureVault from '../utils/SecureVault';
+import { describeError } from '../utils/describeError';
+import ErrorMessage from '../components/common/ErrorMessage';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' }) : '');
+
+export default function Beneficiaries() {
+  const { identity } = useSession();
+  const [beneficiaries, setBeneficiaries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [notice, setNotice] = useState('');
+  // Account number awaiting delete confirmation, and the one being deleted
+  const [confirming, setConfirming] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [deleteError, setDeleteError] = useState('');
+
+  const loadBeneficiaries = useCallback(async () => {
+    setLoading(true);
+    setLoadError('');
+    try {
+      setBeneficiaries(await listBeneficiaries(identity));
+    } catch (err) {
+      setLoadError(describeError(err, 'Could not refresh your beneficiaries.'));
+    } finally {
+      setLoading(false);
+    }
+  }, [identity]);
+
+  // The cached list shows straight away; the bank's copy replaces it
+  useEffect(() => {
+    // An unreadable cache is skipped; loadBeneficiaries() reports its own errors
+    SecureVault.getBeneficiaries().then(setBeneficiaries).catch(() => {});
+    loadBeneficiaries();
+  }, [loadBeneficiaries]);
+
+  const handleDelete = async (beneficiary) => {
+    setDeleting(beneficiary.account_number);
+    setDeleteError('');
+    setNotice('');
+    try {
+      setBeneficiaries(await deleteBeneficiary(identity, beneficiary.account_number));
+      setNotice(`${beneficiary.nickname || beneficiary.account_name} has been removed from your beneficiaries.`);
+    } catch (err) {
+      setDeleteError(describeError(err, 'Could not delete this beneficiary.'));
+    } finally {
+      setDeleting(null);
+      setConfirming(null);
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <h1 className="text-2xl font-semibold text-gray-800 mb-6">Beneficiaries</h1>
+
+      {notice && (
+        <div className="flex items-center space-x-2 text-sm text-green-700 bg-green-50 p-3 rounded-md mb-6">
+          <Check className="h-5 w-5" />
+          <span>{notice}</span>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <Users className="h-6 w-6 text-green-600 mr-2" />
+            <h2 className="text-lg font-medium text-gray-800">Saved Recipients</h2>
+          </div>
+          <button
+            onClick={loadBeneficiaries}
+            disabled={loading}
+            className="p-1 rounded-md text-gray-500 hover:bg-gray-100 disabled:opacity-50"
+            aria-label="Refresh beneficiaries"
+          >
+            <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+        <p className="text-gray-600 mb-4">
+          Beneficiaries are saved with your bank, so they are available on all your devices. Save a new one from the
+          confirmation screen after sending money.
+        </p>
+
+        <ErrorMessage error={loadError} className="mb-4" />
+        <ErrorMessage error={deleteError} className="mb-4" />
+
+        {loading && beneficiaries.length === 0 ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="animate-spin h-6 w-6 text-green-600" />
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {beneficiaries.map(beneficiary => (
+              <li key={beneficiary.account_number} className="py-4 flex items-start justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-800">{beneficiary.nickname || beneficiary.account_name}</p>
+                  <p className="text-xs text-gray-500">
+                    {beneficiary.nickname && `${beneficiary.account_name} · `}
+                    <span className="font-mono">{beneficiary.account_number}</span>
+                  </p>
+                  {beneficiary.created_at && (
+                    <p className="text-xs text-gray-500">Saved {formatDate(beneficiary.created_at)}</p>
+                  )}
+                </div>
+                {confirming === beneficiary.account_number ? (
+                  <div className="flex items-center space-x-3 text-sm">
+                    <button
+                      onClick={() => handleDelete(beneficiary)}
+                      disabled={deleting === beneficiary.account_number}
+                      className="flex items-center text-red-600 hover:text-red-700 font-medium disabled:opacity-50"
+                    >
+                      {deleting === beneficiary.account_number && <Loader2 className="animate-spin h-4 w-4 mr-1" />}
+                      Delete
+                    </button>
+                    <button
+                      onClick={() => setConfirming(null)}
+                      disabled={deleting === beneficiary.account_number}
+                      className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => setConfirming(beneficiary.account_number)}
+                    className="flex items-center text-sm text-red-600 hover:text-red-700"
+                  >
+                    <Trash2 className="h-4 w-4 mr-1" />
+                    Delete
+                  </button>
+                )}
+              </li>
+            ))}
+            {!loading && !loadError && beneficiaries.length === 0 && (
+              <li className="py-4 text-sm text-gray-500">
+                You have no saved beneficiaries yet.{' '}
+                <Link to="/send-money" className="inline-flex items-center text-green-600 hover:text-green-800">
+                  <Send className="h-4 w-4 mr-1" />
+                  Send money
+                </Link>
+              </li>
+            )}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
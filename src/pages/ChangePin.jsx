@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { KeyRound, Check, Loader2, ChevronLeft } from 'lucide-react';
+import { useSession } from '../context/SessionContext';
+import { validateNewPin } from '../utils/validation';
+import { describeError } from '../utils/describeError';
+import ErrorMessage from '../components/common/ErrorMessage';
+
+export default function ChangePin() {
+  const navigate = useNavigate();
+  const { changePin } = useSession();
+  const [formData, setFormData] = useState({
+    current_pin: '',
+    pin: '',
+    confirm_pin: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [submissionError, setSubmissionError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [success, setSuccess] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value.replace(/[^0-9]/g, '') }));
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: null }));
+    setSubmissionError('');
+  };
+
+  const validate = () => {
+    const allErrors = {};
+    if (!/^\d{6}$/.test(formData.current_pin)) allErrors.current_pin = 'Enter your current 6-digit PIN';
+    Object.assign(allErrors, validateNewPin(formData.pin, formData.confirm_pin));
+    if (!allErrors.pin && formData.pin === formData.current_pin) {
+      allErrors.pin = 'New PIN must be different from your current PIN';
+    }
+    setErrors(allErrors);
+    return Object.keys(allErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validate()) return;
+    setIsSubmitting(true);
+    setSubmissionError('');
+    try {
+      await changePin(formData.current_pin, formData.pin);
+      setFormData({ current_pin: '', pin: '', confirm_pin: '' });
+      setSuccess(true);
+    } catch (err) {
+      setSubmissionError(describeError(err, 'Could not change your PIN. Please try again.'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (success) {
+    return (
+      <div className="max-w-lg mx-auto p-8 bg-white shadow-lg rounded-lg text-center">
+        <Check className="mx-auto h-16 w-16 text-green-500 bg-green-100 rounded-full p-2" />
+        <h2 className="mt-4 text-2xl font-bold text-gray-800">PIN Changed</h2>
+        <p className="mt-2 text-gray-600">
+          Your private key is now protected by your new PIN. Use it the next time you sign in or authorize a transfer.
+        </p>
+        <button
+          onClick={() => navigate('/settings')}
+          className="mt-8 w-full bg-green-600 text-white py-2 px-4 rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+        >
+          Back to Settings
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-lg mx-auto bg-white p-8 rounded-xl shadow-lg">
+      <Link to="/settings" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-4">
+        <ChevronLeft className="h-4 w-4 mr-1" />
+        Settings
+      </Link>
+      <h1 className="text-2xl font-bold text-gray-800 mb-2">Change PIN</h1>
+      <p className="text-sm text-gray-600 mb-6">
+        Your private key will be re-encrypted with the new PIN. It never leaves this device.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-6" autoComplete="off">
+        <PinField name="current_pin" label="Current PIN" value={formData.current_pin} onChange={handleChange} error={errors.current_pin} autoFocus disabled={isSubmitting} />
+        <PinField name="pin" label="New 6-Digit PIN" value={formData.pin} onChange={handleChange} error={errors.pin} disabled={isSubmitting} />
+        <PinField name="confirm_pin" label="Confirm New PIN" value={formData.confirm_pin} onChange={handleChange} error={errors.confirm_pin} disabled={isSubmitting} />
+
+        <ErrorMessage error={submissionError} />
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:bg-gray-400"
+        >
+          {isSubmitting ? (
+            <div className="flex items-center">
+              <Loader2 className="animate-spin h-5 w-5 mr-2" />
+              Re-encrypting key...
+            </div>
+          ) : (
+            <div className="flex items-center">
+              <KeyRound className="h-5 w-5 mr-2" />
+              Change PIN
+            </div>
+          )}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+function PinField({ name, label, value, onChange, error, autoFocus, disabled }) {
+  return (
+    <div>
+      <label htmlFor={name} className="block text-sm font-medium text-gray-700">
+        {label}
+      </label>
+      <input
+        id={name}
+        name={name}
+        type="password"
+        inputMode="numeric"
+        pattern="[0-9]*"
+        maxLength={6}
+        required
+        autoFocus={autoFocus}
+        value={value}
+        onChange={onChange}
+        disabled={disabled}
+        aria-invalid={!!error}
+        aria-describedby={error ? `${name}-error` : undefined}
+        className={`mt-1 block w-full px-3 py-2 border ${error ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 text-center tracking-[1em]`}
+        placeholder="••••••"
+      />
+      {error && (
+        <p id={`${name}-error`} className="mt-2 text-sm text-red-600">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
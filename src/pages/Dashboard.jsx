@@ -1,11 +1,18 @@
+import { useState, useEffect } from 'react';
 import AccountSummary from '../components/dashboard/AccountSummary';
 import QuickActions from '../components/dashboard/QuickActions';
 import RecentTransactions from '../components/dashboard/RecentTransactions';
 import SpendingInsights from '../components/dashboard/SpendingInsights';
+import * as SecureVault from '../utils/SecureVault';
 
 export default function Dashboard() {
-  // Get user from localStorage
-  const user = JSON.parse(localStorage.getItem('userProfile'));
+  const [user, setUser] = useState(null);
+
+  // Get user from the local cache
+  useEffect(() => {
+    // Without a readable profile the greeting falls back to the default name
+    SecureVault.getProfile().then(setUser).catch(() => setUser(null));
+  }, []);
 
   return (
     <div>
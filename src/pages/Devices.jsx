@@ -0,0 +1,218 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Smartphone, Plus, Trash2, Check, Loader2, ChevronLeft, RefreshCw } from 'lucide-react';
+import { useSession } from '../context/SessionContext';
+import { listDevices, authorizeDevice, revokeDevice } from '../services/deviceApi';
+import { parseLinkCode, normalizeDeviceLabel } from '../utils/DeviceLink';
+import { describeError } from '../utils/describeError';
+import PinPrompt from '../components/common/PinPrompt';
+import ErrorMessage from '../components/common/ErrorMessage';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+export default function Devices() {
+  const { identity, verifyPin } = useSession();
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [linkCode, setLinkCode] = useState('');
+  const [newDevice, setNewDevice] = useState(null);
+  const [linkError, setLinkError] = useState('');
+  const [notice, setNotice] = useState('');
+  // { type: 'authorize' | 'revoke', device } while the PIN prompt is open
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const loadDevices = useCallback(async () => {
+    setLoading(true);
+    setLoadError('');
+    try {
+      setDevices(await listDevices(identity));
+    } catch (err) {
+      setLoadError(describeError(err, 'Could not load your devices.'));
+    } finally {
+      setLoading(false);
+    }
+  }, [identity]);
+
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices]);
+
+  const handleLinkCodeChange = async (e) => {
+    const code = e.target.value;
+    setLinkCode(code);
+    setNewDevice(null);
+    setLinkError('');
+    setNotice('');
+    if (!code.trim()) return;
+    try {
+      const device = await parseLinkCode(code);
+      if (devices.some(d => d.key_id === device.keyId)) {
+        setLinkError('This device is already authorized.');
+        return;
+      }
+      setNewDevice(device);
+    } catch (err) {
+      setLinkError(err.message);
+    }
+  };
+
+  const handleConfirm = async (pin) => {
+    await verifyPin(pin);
+    const { type, device } = pendingAction;
+    if (type === 'authorize') {
+      await authorizeDevice(identity, device);
+      setLinkCode('');
+      setNewDevice(null);
+      setNotice(`"${device.label}" can now sign in to your account.`);
+    } else {
+      await revokeDevice(identity, device.key_id);
+      setNotice(`"${device.label}" has been revoked and can no longer sign requests.`);
+    }
+    setPendingAction(null);
+    await loadDevices();
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <Link to="/security" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-4">
+        <ChevronLeft className="h-4 w-4 mr-1" />
+        Security Center
+      </Link>
+      <h1 className="text-2xl font-semibold text-gray-800 mb-6">Devices</h1>
+
+      {notice && (
+        <div className="flex items-center space-x-2 text-sm text-green-700 bg-green-50 p-3 rounded-md mb-6">
+          <Check className="h-5 w-5" />
+          <span>{notice}</span>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <Smartphone className="h-6 w-6 text-green-600 mr-2" />
+            <h2 className="text-lg font-medium text-gray-800">Authorized Devices</h2>
+          </div>
+          <button
+            onClick={loadDevices}
+            disabled={loading}
+            className="p-1 rounded-md text-gray-500 hover:bg-gray-100 disabled:opacity-50"
+            aria-label="Refresh devices"
+          >
+            <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+        <p className="text-gray-600 mb-4">
+          Each device has its own signing key. Revoke any device you no longer use or don't recognise.
+        </p>
+
+        <ErrorMessage error={loadError} className="mb-4" />
+
+        {loading && devices.length === 0 ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="animate-spin h-6 w-6 text-green-600" />
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {devices.map(device => {
+              const isCurrent = device.key_id === identity?.keyId;
+              return (
+                <li key={device.key_id} className="py-4 flex items-start justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-800">
+                      {device.label || 'Unnamed device'}
+                      {isCurrent && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700">This device</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 font-mono">{device.key_id.slice(0, 16)}</p>
+                    <p className="text-xs text-gray-500">
+                      Added {formatDate(device.created_at)} · Last used {formatDate(device.last_used_at)}
+                    </p>
+                  </div>
+                  {!isCurrent && (
+                    <button
+                      onClick={() => setPendingAction({ type: 'revoke', device })}
+                      className="flex items-center text-sm text-red-600 hover:text-red-700"
+                    >
+                      <Trash2 className="h-4 w-4 mr-1" />
+                      Revoke
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+            {!loading && !loadError && devices.length === 0 && (
+              <li className="py-4 text-sm text-gray-500">No devices found.</li>
+            )}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 mb-6">
+        <div className="flex items-center mb-4">
+          <Plus className="h-6 w-6 text-green-600 mr-2" />
+          <h2 className="text-lg font-medium text-gray-800">Add a Device</h2>
+        </div>
+        <p className="text-gray-600 mb-4">
+          On the new device, choose "Link this device" on the sign-in screen and paste the link code it shows below.
+          Only approve it if the key ID matches the one on the new device's screen.
+        </p>
+        <label htmlFor="link_code" className="block text-sm font-medium text-gray-700">
+          Link Code
+        </label>
+        <textarea
+          id="link_code"
+          rows={3}
+          spellCheck={false}
+          value={linkCode}
+          onChange={handleLinkCodeChange}
+          className={`mt-1 block w-full px-3 py-2 border ${linkError ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm font-mono text-xs focus:outline-none focus:ring-green-500 focus:border-green-500`}
+        />
+        {linkError && <p className="mt-2 text-sm text-red-600">{linkError}</p>}
+
+        {newDevice && (
+          <div className="mt-4 p-4 bg-gray-50 rounded-md">
+            <p className="text-sm text-gray-700">
+              Device: <span className="font-medium">{newDevice.label}</span>
+            </p>
+            <p className="text-sm text-gray-700">
+              Key ID: <span className="font-mono">{newDevice.keyId.slice(0, 16)}</span>
+            </p>
+            <label htmlFor="device_label" className="block text-sm font-medium text-gray-700 mt-3">
+              Name this device
+            </label>
+            <input
+              id="device_label"
+              type="text"
+              value={newDevice.label}
+              onChange={e => setNewDevice(prev => ({ ...prev, label: e.target.value }))}
+              onBlur={() => setNewDevice(prev => ({ ...prev, label: normalizeDeviceLabel(prev.label) }))}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+            />
+            <button
+              onClick={() => setPendingAction({ type: 'authorize', device: { ...newDevice, label: normalizeDeviceLabel(newDevice.label) } })}
+              className="mt-4 inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+            >
+              <Check className="h-5 w-5 mr-2" />
+              Authorize Device
+            </button>
+          </div>
+        )}
+      </div>
+
+      {pendingAction && (
+        <PinPrompt
+          title={pendingAction.type === 'authorize' ? 'Authorize Device' : 'Revoke Device'}
+          description={pendingAction.type === 'authorize'
+            ? `Enter your PIN to let "${pendingAction.device.label}" sign in to your account.`
+            : `Enter your PIN to revoke "${pendingAction.device.label}". It will need to be linked again to regain access.`}
+          confirmLabel={pendingAction.type === 'authorize' ? 'Authorize' : 'Revoke'}
+          onConfirm={handleConfirm}
+          onCancel={() => setPendingAction(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { Smartphone, Loader2, Copy, Check } from 'lucide-react';
+import { useSession } from '../context/SessionContext';
+import { secureRequest } from '../services/secureApi';
+import * as SecureKeyManager from '../utils/SecureKeyManager';
+import * as SecureVault from '../utils/SecureVault';
+import { createLinkCode, defaultDeviceLabel } from '../utils/DeviceLink';
+import { validateNewPin } from '../utils/validation';
+import { describeError } from '../utils/describeError';
+import ErrorMessage from '../components/common/ErrorMessage';
+
+// Enrolls this browser as an additional device. The new key stays in memory
+// until an already-enrolled device has authorized it; only then is it
+// wrapped under the PIN and stored.
+export default function LinkDevice() {
+  const navigate = useNavigate();
+  const { enroll } = useSession();
+  const [formData, setFormData] = useState({ label: defaultDeviceLabel(), pin: '', confirm_pin: '' });
+  const [errors, setErrors] = useState({});
+  const [pending, setPending] = useState(null);
+  const [submissionError, setSubmissionError] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    const cleaned = name === 'label' ? value : value.replace(/[^0-9]/g, '');
+    setFormData(prev => ({ ...prev, [name]: cleaned }));
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: null }));
+    setSubmissionError('');
+  };
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+    const allErrors = validateNewPin(formData.pin, formData.confirm_pin);
+    setErrors(allErrors);
+    if (Object.keys(allErrors).length > 0) return;
+
+    setIsWorking(true);
+    setSubmissionError('');
+    try {
+      const keyPair = await SecureKeyManager.generateSigningKeyPair();
+      const { code, keyId } = await createLinkCode(keyPair.publicKey, formData.label);
+      setPending({ keyPair, code, keyId });
+    } catch (err) {
+      setSubmissionError(describeError(err, 'Could not create a device key. Please try again.'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  // Succeeds only once the server accepts requests signed by the new key
+  const handleCheckApproval = async () => {
+    setIsWorking(true);
+    setSubmissionError('');
+    try {
+      const response = await secureRequest({
+        target: 'get_profile',
+        payload: {},
+        identity: pending.keyPair,
+      });
+      await enroll(pending.keyPair, formData.pin);
+      await SecureVault.saveUserData({
+        user: response?.user,
+        accounts: response?.accounts || [],
+        transactions: response?.transactions || [],
+      });
+      navigate('/dashboard', { replace: true });
+    } catch (err) {
+      setSubmissionError(describeError(err, 'This device has not been approved yet.'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const copyCode = () => {
+    navigator.clipboard.writeText(pending.code);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-white p-8 rounded-xl shadow-lg">
+        <div className="text-center">
+          <Smartphone className="mx-auto h-12 w-12 text-green-600" />
+          <h2 className="mt-4 text-2xl font-extrabold text-gray-900">Link This Device</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            {pending
+              ? 'On a device you are already signed in to, open Security Center → Devices and paste this link code.'
+              : 'Create a signing key for this device, then approve it from a device you already use.'}
+          </p>
+        </div>
+
+        {!pending ? (
+          <form className="mt-8 space-y-6" onSubmit={handleGenerate} autoComplete="off">
+            <div>
+              <label htmlFor="label" className="block text-sm font-medium text-gray-700">
+                Device Name
+              </label>
+              <input
+                id="label"
+                name="label"
+                type="text"
+                value={formData.label}
+                onChange={handleChange}
+                disabled={isWorking}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="pin" className="block text-sm font-medium text-gray-700">
+                New 6-Digit PIN
+              </label>
+              <input
+                id="pin"
+                name="pin"
+                type="password"
+                inputMode="numeric"
+                pattern="[0-9]*"
+                maxLength={6}
+                value={formData.pin}
+                onChange={handleChange}
+                disabled={isWorking}
+                className={`mt-1 block w-full px-3 py-2 border ${errors.pin ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm`}
+              />
+              {errors.pin && <p className="mt-2 text-sm text-red-600">{errors.pin}</p>}
+            </div>
+
+            <div>
+              <label htmlFor="confirm_pin" className="block text-sm font-medium text-gray-700">
+                Confirm PIN
+              </label>
+              <input
+                id="confirm_pin"
+                name="confirm_pin"
+                type="password"
+                inputMode="numeric"
+                pattern="[0-9]*"
+                maxLength={6}
+                value={formData.confirm_pin}
+                onChange={handleChange}
+                disabled={isWorking}
+                className={`mt-1 block w-full px-3 py-2 border ${errors.confirm_pin ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm`}
+              />
+              {errors.confirm_pin && <p className="mt-2 text-sm text-red-600">{errors.confirm_pin}</p>}
+            </div>
+
+            <ErrorMessage error={submissionError} />
+
+            <button
+              type="submit"
+              disabled={isWorking}
+              className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:bg-gray-400"
+            >
+              {isWorking ? (
+                <div className="flex items-center">
+                  <Loader2 className="animate-spin h-5 w-5 mr-2" />
+                  Generating key...
+                </div>
+              ) : (
+                'Create Link Code'
+              )}
+            </button>
+          </form>
+        ) : (
+          <div className="mt-8 space-y-6">
+            <div>
+              <div className="flex items-center justify-between">
+                <span className="block text-sm font-medium text-gray-700">Link Code</span>
+                <button
+                  onClick={copyCode}
+                  className="p-1 rounded-md hover:bg-gray-200 focus:outline-none"
+                  aria-label="Copy link code"
+                >
+                  {copied ? <Check className="h-5 w-5 text-green-600" /> : <Copy className="h-5 w-5 text-gray-600" />}
+                </button>
+              </div>
+              <code className="mt-1 block bg-gray-50 p-3 rounded-md text-xs text-gray-700 font-mono break-all">
+                {pending.code}
+              </code>
+              <p className="mt-2 text-sm text-gray-600">
+                Key ID <span className="font-mono font-medium">{pending.keyId.slice(0, 16)}</span> — check it matches on the approving device.
+              </p>
+            </div>
+
+            <ErrorMessage error={submissionError} />
+
+            <button
+              onClick={handleCheckApproval}
+              disabled={isWorking}
+              className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:bg-gray-400"
+            >
+              {isWorking ? (
+                <div className="flex items-center">
+                  <Loader2 className="animate-spin h-5 w-5 mr-2" />
+                  Checking approval...
+                </div>
+              ) : (
+                "I've Approved This Device"
+              )}
+            </button>
+            <p className="text-xs text-gray-500 text-center">
+              Leaving this page discards the key, and you will need a new link code.
+            </p>
+          </div>
+        )}
+
+        <p className="mt-6 text-center text-sm text-gray-600">
+          Already set up on this device?{' '}
+          <Link to="/login" className="font-medium text-green-600 hover:text-green-500">
+            Sign In
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
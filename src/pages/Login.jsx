@@ -1,13 +1,24 @@
-import { useState, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
-import { KeyRound, Shield, AlertCircle, Loader2 } from 'lucide-react';
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
+import { KeyRound, Shield, Loader2 } from 'lucide-react';
 import * as SecureKeyManager from '../utils/SecureKeyManager';
+import { useSession } from '../context/SessionContext';
+import { getPinStatus } from '../utils/PinGuard';
+import { describeError } from '../utils/describeError';
+import ErrorMessage from '../components/common/ErrorMessage';
 
 export default function Login() {
   const [pin, setPin] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [pinStatus, setPinStatus] = useState(null);
   const navigate = useNavigate();
+  const location = useLocation();
+  const { unlock } = useSession();
+
+  // Where RequireUnlocked sent us from, so we can return there after unlocking
+  const from = location.state?.from;
+  const returnTo = from ? `${from.pathname}${from.search || ''}` : '/dashboard';
 
   // Redirect to registration if no stored keypair is found
   useEffect(() => {
@@ -21,6 +32,17 @@ export default function Login() {
     })();
   }, [navigate]);
 
+  // Show how many PIN attempts are left, or that the key is locked out
+  const refreshPinStatus = useCallback(() => {
+    getPinStatus().then(setPinStatus).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    refreshPinStatus();
+  }, [refreshPinStatus]);
+
+  const isLockedOut = !!pinStatus?.permanent;
+
   const handleChange = (e) => {
     setPin(e.target.value.replace(/[^0-9]/g, ''));
     setError('');
@@ -35,15 +57,14 @@ export default function Login() {
     setIsLoading(true);
     setError('');
     try {
-      // Local unlock: try to decrypt private key with PIN
-      const { encrypted, salt, iv } = await SecureKeyManager.fetchEncryptedPrivateKey();
-      await SecureKeyManager.decryptPrivateKey(encrypted, pin, salt, iv);
-      // Success: redirect to dashboard
-      setTimeout(() => {
-        navigate('/dashboard', { replace: true });
-      }, 100);
+      // Local unlock: decrypt the identity key and open the encrypted cache
+      await unlock(pin);
+      // Success: return to the page that required the unlock
+      navigate(returnTo, { replace: true });
     } catch (err) {
-      setError('Invalid PIN. Please check your PIN and try again.');
+      setError(describeError(err, 'Invalid PIN. Please check your PIN and try again.'));
+      setPin('');
+      refreshPinStatus();
     } finally {
       setIsLoading(false);
     }
@@ -84,22 +105,31 @@ export default function Login() {
                       maxLength="6"
                       className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm transition-colors duration-200"
                       placeholder="Enter your 6-digit PIN"
-                      disabled={isLoading}
+                      disabled={isLoading || isLockedOut}
                     />
                   </div>
+                  {pinStatus && pinStatus.failures > 0 && !isLockedOut && (
+                    <p className="mt-2 text-xs text-gray-500">
+                      {pinStatus.remainingAttempts} PIN attempt{pinStatus.remainingAttempts === 1 ? '' : 's'} remaining before this key is locked.
+                    </p>
+                  )}
                 </div>
 
-                {error && (
-                  <div className="flex items-center space-x-2 text-sm text-red-600">
-                    <AlertCircle className="h-5 w-5" />
-                    <p>{error}</p>
+                {isLockedOut && (
+                  <div className="p-3 bg-red-50 rounded-md text-sm text-red-700">
+                    <p>This key has been locked after too many incorrect PIN attempts.</p>
+                    <p className="mt-1">
+                      To regain access, <Link to="/restore-phrase" className="font-medium underline">use your recovery phrase</Link>, <Link to="/restore-backup" className="font-medium underline">restore it from a backup file</Link> or <Link to="/register" className="font-medium underline">register again</Link> on this device.
+                    </p>
                   </div>
                 )}
 
+                <ErrorMessage error={error} />
+
                 <div>
                   <button
                     type="submit"
-                    disabled={isLoading || !pin}
+                    disabled={isLoading || !pin || isLockedOut}
                     className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors duration-200"
                   >
                     {isLoading ? (
@@ -136,6 +166,22 @@ export default function Login() {
                       Create one now
                     </Link>
                   </p>
+                  <p className="mt-2 text-sm text-gray-600">
+                    Registered on another device?{' '}
+                    <Link to="/link-device" className="font-medium text-green-600 hover:text-green-500">
+                      Link this device
+                    </Link>
+                  </p>
+                  <p className="mt-2 text-sm text-gray-600">
+                    Forgot your PIN?{' '}
+                    <Link to="/restore-phrase" className="font-medium text-green-600 hover:text-green-500">
+                      Restore from recovery phrase
+                    </Link>
+                    {' '}or{' '}
+                    <Link to="/restore-backup" className="font-medium text-green-600 hover:text-green-500">
+                      a backup file
+                    </Link>
+                  </p>
                 </div>
               </div>
             </div>
@@ -1,7 +1,14 @@
 import { useState, useRef } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { ChevronRight, ChevronLeft, Shield, AlertCircle, Loader2 } from 'lucide-react';
+import { ChevronRight, ChevronLeft, Shield, Loader2, KeyRound } from 'lucide-react';
 import { secureRequest } from '../services/secureApi';
+import * as SecureVault from '../utils/SecureVault';
+import { useSession } from '../context/SessionContext';
+import { validateNewPin } from '../utils/validation';
+import { generateRecoveryPhrase, deriveIdentityFromPhrase } from '../utils/RecoveryPhrase';
+import { defaultDeviceLabel } from '../utils/DeviceLink';
+import { describeError } from '../utils/describeError';
+import ErrorMessage from '../components/common/ErrorMessage';
 
 const steps = ['Personal Information', 'Verification', 'Account Security'];
 
@@ -26,8 +33,11 @@ export default function Registration() {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submissionError, setSubmissionError] = useState('');
   const [success, setSuccess] = useState(false);
+  const [recoveryPhrase, setRecoveryPhrase] = useState('');
+  const [phraseSaved, setPhraseSaved] = useState(false);
 
   const navigate = useNavigate();
+  const { enroll } = useSession();
   const firstErrorRef = useRef(null);
 
   // Autofocus first field of each step
@@ -69,12 +79,7 @@ export default function Registration() {
     if (!formData.occupation.trim()) allErrors.occupation = 'Occupation is required';
     // Account Security (PIN)
     if (!formData.username.trim()) allErrors.username = 'Username is required';
-    if (!formData.pin) {
-      allErrors.pin = 'A 6-digit PIN is required';
-    } else if (!/^\d{6}$/.test(formData.pin)) {
-      allErrors.pin = 'PIN must be exactly 6 digits';
-    }
-    if (formData.pin !== formData.confirm_pin) allErrors.confirm_pin = 'PINs do not match';
+    Object.assign(allErrors, validateNewPin(formData.pin, formData.confirm_pin));
     // Terms
     if (!formData.accept_terms) allErrors.accept_terms = 'You must accept the terms and privacy policy';
 
@@ -130,25 +135,31 @@ export default function Registration() {
         nin: formData.nin,
         bvn: formData.bvn,
         username: formData.username,
+        device_label: defaultDeviceLabel(),
       };
-      console.log('Registration Payload:', registrationPayload);
+      // Derive the identity keypair this account will be bound to from a
+      // fresh recovery phrase, so it can be rebuilt on another device
+      const phrase = generateRecoveryPhrase();
+      const identityKeyPair = await deriveIdentityFromPhrase(phrase);
       // Unified secure request
       const response = await secureRequest({
         target: 'register',
         payload: registrationPayload,
-        pin: formData.pin
+        identity: identityKeyPair
       });
       if (response && response.user) {
-        localStorage.setItem('userProfile', JSON.stringify(response.user));
-        localStorage.setItem('userAccounts', JSON.stringify(response.accounts || []));
-        localStorage.setItem('userTransactions', JSON.stringify(response.transactions || []));
+        // Only keep the key once the server has accepted it
+        await enroll(identityKeyPair, formData.pin);
+        await SecureVault.saveUserData({
+          user: response.user,
+          accounts: response.accounts || [],
+          transactions: response.transactions || [],
+        });
+        setRecoveryPhrase(phrase);
         setSuccess(true);
-        setTimeout(() => {
-          navigate('/dashboard', { replace: true });
-        }, 1500);
       }
     } catch (err) {
-      setSubmissionError(err.message || 'An unexpected error occurred. Please try again.');
+      setSubmissionError(describeError(err, 'An unexpected error occurred. Please try again.'));
     } finally {
       setIsSubmitting(false);
     }
@@ -167,14 +178,54 @@ export default function Registration() {
     }
   };
 
+  // The phrase is only ever shown here, once; it is not stored anywhere
+  const finishRegistration = () => {
+    setRecoveryPhrase('');
+    navigate('/dashboard', { replace: true });
+  };
+
   if (success) {
     return (
-      <div className="min-h-screen flex items-center justify-center bg-gray-50">
-        <div className="bg-white rounded-xl shadow-lg p-10 max-w-md text-center">
-          <Shield className="mx-auto mb-4 h-12 w-12 text-green-600" />
-          <h2 className="text-2xl font-bold text-gray-800 mb-2">Account Created!</h2>
-          <p className="text-green-700 mb-4">Your account has been securely created. Redirecting to dashboard...</p>
-          <Loader2 className="animate-spin h-6 w-6 mx-auto text-green-500" />
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
+        <div className="bg-white rounded-xl shadow-lg p-10 max-w-lg w-full">
+          <div className="text-center">
+            <Shield className="mx-auto mb-4 h-12 w-12 text-green-600" />
+            <h2 className="text-2xl font-bold text-gray-800 mb-2">Account Created!</h2>
+            <p className="text-green-700 mb-6">Your account has been securely created.</p>
+          </div>
+          <div className="flex items-center mb-2">
+            <KeyRound className="h-5 w-5 text-green-600 mr-2" />
+            <h3 className="text-lg font-medium text-gray-800">Your Recovery Phrase</h3>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            Write these 12 words down in order and keep them offline. They are the only way to restore your key if you lose this device or forget your PIN. This is the only time they will be shown.
+          </p>
+          <ol className="grid grid-cols-2 sm:grid-cols-3 gap-2 mb-6 bg-gray-50 p-4 rounded-md">
+            {recoveryPhrase.split(' ').map((word, index) => (
+              <li key={index} className="font-mono text-sm text-gray-800">
+                <span className="text-gray-400 mr-2">{index + 1}.</span>{word}
+              </li>
+            ))}
+          </ol>
+          <div className="flex items-center mb-6">
+            <input
+              id="phrase_saved"
+              type="checkbox"
+              checked={phraseSaved}
+              onChange={(e) => setPhraseSaved(e.target.checked)}
+              className="h-4 w-4 text-green-600 focus:ring-green-500 border-gray-300 rounded"
+            />
+            <label htmlFor="phrase_saved" className="ml-2 block text-sm text-gray-700">
+              I have written down my recovery phrase
+            </label>
+          </div>
+          <button
+            onClick={finishRegistration}
+            disabled={!phraseSaved}
+            className="w-full py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:bg-gray-400"
+          >
+            Continue to Dashboard
+          </button>
         </div>
       </div>
     );
@@ -210,12 +261,8 @@ export default function Registration() {
           {renderStep()}
 
           {submissionError && (
-            <div ref={firstErrorRef} className="flex flex-col space-y-1 text-sm text-red-600 p-3 bg-red-50 rounded-md">
-              <div className="flex items-center space-x-2">
-                <AlertCircle className="h-5 w-5" />
-                <span>Error</span>
-              </div>
-              <p>{submissionError}</p>
+            <div ref={firstErrorRef}>
+              <ErrorMessage error={submissionError} />
             </div>
           )}
 
@@ -266,6 +313,14 @@ export default function Registration() {
           <Link to="/login" className="font-medium text-green-600 hover:text-green-500">
             Sign In
           </Link>
+          {' '}or restore from your{' '}
+          <Link to="/restore-phrase" className="font-medium text-green-600 hover:text-green-500">
+            recovery phrase
+          </Link>
+          {' '}or a{' '}
+          <Link to="/restore-backup" className="font-medium text-green-600 hover:text-green-500">
+            backup file
+          </Link>
         </p>
       </div>
     </div>
@@ -354,7 +409,7 @@ function Step3({ formData, handleChange, errors, inputRef, firstErrorRef }) {
         <ul className="list-disc ml-5 mt-1">
           <li>Your PIN encrypts and protects your private key on this device.</li>
           <li>It is required to authorize secure transactions and access your account.</li>
-          <li>Never share your PIN with anyone. It cannot be recovered if forgotten.</li>
+          <li>Never share your PIN with anyone. If you forget it, you will need your recovery phrase.</li>
         </ul>
       </div>
       <div className="mt-4 flex items-center">
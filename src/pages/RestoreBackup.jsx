@@ -0,0 +1,193 @@
+import { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { Upload, Loader2, ShieldCheck } from 'lucide-react';
+import { useSession } from '../context/SessionContext';
+import { secureRequest } from '../services/secureApi';
+import * as SecureVault from '../utils/SecureVault';
+import { parseKeyBackup, restoreKeyBackup } from '../utils/KeyBackup';
+import { validateNewPin } from '../utils/validation';
+import { describeError } from '../utils/describeError';
+import ErrorMessage from '../components/common/ErrorMessage';
+
+export default function RestoreBackup() {
+  const navigate = useNavigate();
+  const { enroll } = useSession();
+  const [backupText, setBackupText] = useState('');
+  const [backupInfo, setBackupInfo] = useState(null);
+  const [formData, setFormData] = useState({ passphrase: '', pin: '', confirm_pin: '' });
+  const [errors, setErrors] = useState({});
+  const [submissionError, setSubmissionError] = useState('');
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    setBackupText('');
+    setBackupInfo(null);
+    setErrors(prev => ({ ...prev, file: null }));
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const { keyId, createdAt } = parseKeyBackup(text);
+      setBackupText(text);
+      setBackupInfo({ keyId, createdAt, fileName: file.name });
+    } catch (err) {
+      setErrors(prev => ({ ...prev, file: err.message }));
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    const cleaned = name === 'passphrase' ? value : value.replace(/[^0-9]/g, '');
+    setFormData(prev => ({ ...prev, [name]: cleaned }));
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: null }));
+    setSubmissionError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const allErrors = validateNewPin(formData.pin, formData.confirm_pin);
+    if (!backupText) allErrors.file = 'Choose your key backup file';
+    if (!formData.passphrase) allErrors.passphrase = 'Enter the backup passphrase';
+    setErrors(allErrors);
+    if (Object.keys(allErrors).length > 0) return;
+
+    setIsRestoring(true);
+    setSubmissionError('');
+    try {
+      const restored = await restoreKeyBackup(backupText, formData.passphrase);
+      // A backup of a revoked or unknown key must not replace the one on this
+      // device, so ask the bank first and enroll only if it answers
+      const response = await secureRequest({ target: 'get_profile', payload: {}, identity: restored });
+      await enroll(restored, formData.pin, restored.createdAt);
+      await SecureVault.saveUserData({
+        user: response?.user,
+        accounts: response?.accounts || [],
+        transactions: response?.transactions || [],
+      });
+      navigate('/dashboard', { replace: true });
+    } catch (err) {
+      setSubmissionError(describeError(err, 'Could not restore your key. Please try again.'));
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-white p-8 rounded-xl shadow-lg">
+        <div className="text-center">
+          <ShieldCheck className="mx-auto h-12 w-12 text-green-600" />
+          <h2 className="mt-4 text-2xl font-extrabold text-gray-900">Restore From Backup</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Restore your identity key from an encrypted backup file and choose a new PIN for this device.
+          </p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit} autoComplete="off">
+          <div>
+            <label htmlFor="backup_file" className="block text-sm font-medium text-gray-700">
+              Backup File
+            </label>
+            <input
+              id="backup_file"
+              name="backup_file"
+              type="file"
+              accept="application/json,.json"
+              onChange={handleFileChange}
+              disabled={isRestoring}
+              className="mt-1 block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-green-50 file:text-green-700 hover:file:bg-green-100"
+            />
+            {errors.file && <p className="mt-2 text-sm text-red-600">{errors.file}</p>}
+            {backupInfo && (
+              <p className="mt-2 text-xs text-gray-500">
+                Key ID <span className="font-mono">{backupInfo.keyId.slice(0, 16)}</span>
+                {backupInfo.createdAt && <> · created {new Date(backupInfo.createdAt).toLocaleDateString()}</>}
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="passphrase" className="block text-sm font-medium text-gray-700">
+              Backup Passphrase
+            </label>
+            <input
+              id="passphrase"
+              name="passphrase"
+              type="password"
+              value={formData.passphrase}
+              onChange={handleChange}
+              disabled={isRestoring}
+              className={`mt-1 block w-full px-3 py-2 border ${errors.passphrase ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm`}
+            />
+            {errors.passphrase && <p className="mt-2 text-sm text-red-600">{errors.passphrase}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="pin" className="block text-sm font-medium text-gray-700">
+              New 6-Digit PIN
+            </label>
+            <input
+              id="pin"
+              name="pin"
+              type="password"
+              inputMode="numeric"
+              pattern="[0-9]*"
+              maxLength={6}
+              value={formData.pin}
+              onChange={handleChange}
+              disabled={isRestoring}
+              className={`mt-1 block w-full px-3 py-2 border ${errors.pin ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm`}
+            />
+            {errors.pin && <p className="mt-2 text-sm text-red-600">{errors.pin}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="confirm_pin" className="block text-sm font-medium text-gray-700">
+              Confirm PIN
+            </label>
+            <input
+              id="confirm_pin"
+              name="confirm_pin"
+              type="password"
+              inputMode="numeric"
+              pattern="[0-9]*"
+              maxLength={6}
+              value={formData.confirm_pin}
+              onChange={handleChange}
+              disabled={isRestoring}
+              className={`mt-1 block w-full px-3 py-2 border ${errors.confirm_pin ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm`}
+            />
+            {errors.confirm_pin && <p className="mt-2 text-sm text-red-600">{errors.confirm_pin}</p>}
+          </div>
+
+          <ErrorMessage error={submissionError} />
+
+          <button
+            type="submit"
+            disabled={isRestoring}
+            className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:bg-gray-400"
+          >
+            {isRestoring ? (
+              <div className="flex items-center">
+                <Loader2 className="animate-spin h-5 w-5 mr-2" />
+                Restoring key...
+              </div>
+            ) : (
+              <div className="flex items-center">
+                <Upload className="h-5 w-5 mr-2" />
+                Restore Key
+              </div>
+            )}
+          </button>
+        </form>
+
+        <p className="mt-6 text-center text-sm text-gray-600">
+          Remembered your PIN?{' '}
+          <Link to="/login" className="font-medium text-green-600 hover:text-green-500">
+            Sign In
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
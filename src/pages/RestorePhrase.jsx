@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { KeyRound, Loader2, ShieldCheck } from 'lucide-react';
+import { useSession } from '../context/SessionContext';
+import { secureRequest } from '../services/secureApi';
+import * as SecureVault from '../utils/SecureVault';
+import { checkRecoveryPhrase, deriveIdentityFromPhrase } from '../utils/RecoveryPhrase';
+import { validateNewPin } from '../utils/validation';
+import { describeError } from '../utils/describeError';
+import ErrorMessage from '../components/common/ErrorMessage';
+
+export default function RestorePhrase() {
+  const navigate = useNavigate();
+  const { enroll } = useSession();
+  const [formData, setFormData] = useState({ phrase: '', pin: '', confirm_pin: '' });
+  const [errors, setErrors] = useState({});
+  const [submissionError, setSubmissionError] = useState('');
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    const cleaned = name === 'phrase' ? value : value.replace(/[^0-9]/g, '');
+    setFormData(prev => ({ ...prev, [name]: cleaned }));
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: null }));
+    setSubmissionError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const allErrors = validateNewPin(formData.pin, formData.confirm_pin);
+    const phraseError = checkRecoveryPhrase(formData.phrase);
+    if (phraseError) allErrors.phrase = phraseError;
+    setErrors(allErrors);
+    if (Object.keys(allErrors).length > 0) return;
+
+    setIsRestoring(true);
+    setSubmissionError('');
+    try {
+      const identityKeyPair = await deriveIdentityFromPhrase(formData.phrase);
+      // Only replace the key on this device once the bank recognizes the
+      // restored one; the profile then fills the cache enroll() starts empty
+      const response = await secureRequest({ target: 'get_profile', payload: {}, identity: identityKeyPair });
+      await enroll(identityKeyPair, formData.pin);
+      await SecureVault.saveUserData({
+        user: response?.user,
+        accounts: response?.accounts || [],
+        transactions: response?.transactions || [],
+      });
+      setFormData({ phrase: '', pin: '', confirm_pin: '' });
+      navigate('/dashboard', { replace: true });
+    } catch (err) {
+      setSubmissionError(describeError(err, 'Could not restore your key. Please try again.'));
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-white p-8 rounded-xl shadow-lg">
+        <div className="text-center">
+          <ShieldCheck className="mx-auto h-12 w-12 text-green-600" />
+          <h2 className="mt-4 text-2xl font-extrabold text-gray-900">Restore From Recovery Phrase</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter the 12 words you wrote down when you registered, then choose a new PIN for this device.
+          </p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit} autoComplete="off">
+          <div>
+            <label htmlFor="phrase" className="block text-sm font-medium text-gray-700">
+              Recovery Phrase
+            </label>
+            <textarea
+              id="phrase"
+              name="phrase"
+              rows={3}
+              spellCheck={false}
+              autoCapitalize="none"
+              autoCorrect="off"
+              value={formData.phrase}
+              onChange={handleChange}
+              disabled={isRestoring}
+              placeholder="word1 word2 word3 ..."
+              className={`mt-1 block w-full px-3 py-2 border ${errors.phrase ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm font-mono focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm`}
+            />
+            {errors.phrase && <p className="mt-2 text-sm text-red-600">{errors.phrase}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="pin" className="block text-sm font-medium text-gray-700">
+              New 6-Digit PIN
+            </label>
+            <input
+              id="pin"
+              name="pin"
+              type="password"
+              inputMode="numeric"
+              pattern="[0-9]*"
+              maxLength={6}
+              value={formData.pin}
+              onChange={handleChange}
+              disabled={isRestoring}
+              className={`mt-1 block w-full px-3 py-2 border ${errors.pin ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm`}
+            />
+            {errors.pin && <p className="mt-2 text-sm text-red-600">{errors.pin}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="confirm_pin" className="block text-sm font-medium text-gray-700">
+              Confirm PIN
+            </label>
+            <input
+              id="confirm_pin"
+              name="confirm_pin"
+              type="password"
+              inputMode="numeric"
+              pattern="[0-9]*"
+              maxLength={6}
+              value={formData.confirm_pin}
+              onChange={handleChange}
+              disabled={isRestoring}
+              className={`mt-1 block w-full px-3 py-2 border ${errors.confirm_pin ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm`}
+            />
+            {errors.confirm_pin && <p className="mt-2 text-sm text-red-600">{errors.confirm_pin}</p>}
+          </div>
+
+          <ErrorMessage error={submissionError} />
+
+          <button
+            type="submit"
+            disabled={isRestoring}
+            className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:bg-gray-400"
+          >
+            {isRestoring ? (
+              <div className="flex items-center">
+                <Loader2 className="animate-spin h-5 w-5 mr-2" />
+                Rebuilding your key...
+              </div>
+            ) : (
+              <div className="flex items-center">
+                <KeyRound className="h-5 w-5 mr-2" />
+                Restore Key
+              </div>
+            )}
+          </button>
+        </form>
+
+        <p className="mt-6 text-center text-sm text-gray-600">
+          Have a backup file instead?{' '}
+          <Link to="/restore-backup" className="font-medium text-green-600 hover:text-green-500">
+            Restore from backup
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,312 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { CalendarClock, Pause, Play, Pencil, X, Check, Loader2, RefreshCw, Send } from 'lucide-react';
+import { useSession } from '../context/SessionContext';
+import { listStandingOrders, authorizeStandingOrder, setStandingOrderStatus } from '../services/standingOrderApi';
+import { validateSchedule, describeSchedule, formatScheduleDate } from '../utils/StandingOrder';
+import { parseAmount, formatAmount, displayAmount } from '../utils/money';
+import { describeError } from '../utils/describeError';
+import PinPrompt from '../components/common/PinPrompt';
+import ErrorMessage from '../components/common/ErrorMessage';
+import ScheduleOptions from '../components/transfers/ScheduleOptions';
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-700',
+  paused: 'bg-yellow-100 text-yellow-700',
+  completed: 'bg-gray-100 text-gray-600',
+  cancelled: 'bg-gray-100 text-gray-600',
+};
+
+const isOpen = (order) => order.status === 'active' || order.status === 'paused';
+
+// Amount, description and schedule of an existing order. Saving re-signs the
+// order as a new revision, starting from the chosen next payment date.
+function StandingOrderEditor({ order, onSave, onCancel }) {
+  const [amount, setAmount] = useState(order.amount);
+  const [description, setDescription] = useState(order.description);
+  const [schedule, setSchedule] = useState({
+    frequency: order.frequency,
+    startDate: order.next_run_date || '',
+    endDate: order.end_date || '',
+  });
+  const [errors, setErrors] = useState({});
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const nextErrors = validateSchedule(schedule);
+    try {
+      if (parseAmount(amount) <= 0) nextErrors.amount = 'Amount must be greater than zero.';
+    } catch (err) {
+      nextErrors.amount = err.message;
+    }
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+    onSave({ amount: formatAmount(parseAmount(amount)), description, ...schedule });
+  };
+
+  const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm';
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 p-4 bg-gray-50 rounded-md space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor={`amount-${order.order_id}`} className="block text-sm font-medium text-gray-700">
+            Amount (₦)
+          </label>
+          <input
+            type="text"
+            inputMode="decimal"
+            autoComplete="off"
+            id={`amount-${order.order_id}`}
+            value={amount}
+            onChange={(e) => setAmount(e.target.value.replace(/[^0-9.]/g, ''))}
+            className={inputClass}
+          />
+          {errors.amount && <p className="mt-2 text-sm text-red-600">{errors.amount}</p>}
+        </div>
+        <div>
+          <label htmlFor={`description-${order.order_id}`} className="block text-sm font-medium text-gray-700">
+            Description
+          </label>
+          <input
+            type="text"
+            id={`description-${order.order_id}`}
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <ScheduleOptions value={schedule} onChange={(next) => { setSchedule(next); setErrors({}); }} errors={errors} allowNow={false} />
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={onCancel} className="px-4 py-2 text-sm text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+        >
+          Save Changes
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function ScheduledTransfers() {
+  const { identity, verifyPin } = useSession();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [actionError, setActionError] = useState('');
+  const [notice, setNotice] = useState('');
+  // order_id of the order being edited, awaiting cancel confirmation, or updating
+  const [editing, setEditing] = useState(null);
+  const [confirmingCancel, setConfirmingCancel] = useState(null);
+  const [busy, setBusy] = useState(null);
+  // { order, changes } while the PIN prompt for an edit is open
+  const [pendingEdit, setPendingEdit] = useState(null);
+
+  const loadOrders = useCallback(async () => {
+    setLoading(true);
+    setLoadError('');
+    try {
+      setOrders(await listStandingOrders(identity));
+    } catch (err) {
+      setLoadError(describeError(err, 'Could not load your scheduled transfers.'));
+    } finally {
+      setLoading(false);
+    }
+  }, [identity]);
+
+  useEffect(() => {
+    loadOrders();
+  }, [loadOrders]);
+
+  const changeStatus = async (order, status, message) => {
+    setBusy(order.order_id);
+    setActionError('');
+    setNotice('');
+    try {
+      setOrders(await setStandingOrderStatus(identity, order.order_id, status));
+      setNotice(message);
+    } catch (err) {
+      setActionError(describeError(err, 'Could not update this scheduled transfer.'));
+    } finally {
+      setBusy(null);
+      setConfirmingCancel(null);
+    }
+  };
+
+  const handleConfirmEdit = async (pin) => {
+    await verifyPin(pin);
+    const { order, changes } = pendingEdit;
+    setOrders(await authorizeStandingOrder(identity, {
+      orderId: order.order_id,
+      revision: order.revision + 1,
+      fromAccount: order.from_account,
+      toAccount: order.to_account,
+      ...changes,
+    }));
+    setPendingEdit(null);
+    setEditing(null);
+    setActionError('');
+    setNotice(`Your payment to ${order.recipient_name} has been updated.`);
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <h1 className="text-2xl font-semibold text-gray-800 mb-6">Scheduled Transfers</h1>
+
+      {notice && (
+        <div className="flex items-center space-x-2 text-sm text-green-700 bg-green-50 p-3 rounded-md mb-6">
+          <Check className="h-5 w-5" />
+          <span>{notice}</span>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <CalendarClock className="h-6 w-6 text-green-600 mr-2" />
+            <h2 className="text-lg font-medium text-gray-800">Standing Orders</h2>
+          </div>
+          <button
+            onClick={loadOrders}
+            disabled={loading}
+            className="p-1 rounded-md text-gray-500 hover:bg-gray-100 disabled:opacity-50"
+            aria-label="Refresh scheduled transfers"
+          >
+            <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+        <p className="text-gray-600 mb-4">
+          The bank sends these payments for you on the scheduled dates. Each one was authorized with your PIN, and
+          changing the amount or schedule needs your PIN again.
+        </p>
+
+        <ErrorMessage error={loadError} className="mb-4" />
+        <ErrorMessage error={actionError} className="mb-4" />
+
+        {loading && orders.length === 0 ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="animate-spin h-6 w-6 text-green-600" />
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {orders.map(order => (
+              <li key={order.order_id} className="py-4">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-800">
+                      {displayAmount(order.amount)} to {order.recipient_name}
+                      <span className={`ml-2 px-2 py-0.5 text-xs rounded-full capitalize ${STATUS_STYLES[order.status] || STATUS_STYLES.completed}`}>
+                        {order.status}
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {order.description} · <span className="font-mono">{order.to_account}</span>
+                    </p>
+                    <p className="text-xs text-gray-500">{describeSchedule(order)}</p>
+                    {order.next_run_date && order.status === 'active' && (
+                      <p className="text-xs text-gray-500">Next payment {formatScheduleDate(order.next_run_date)}</p>
+                    )}
+                    {order.last_run && (
+                      <p className={`text-xs ${order.last_run.success ? 'text-gray-500' : 'text-red-600'}`}>
+                        Last payment {formatScheduleDate(order.last_run.date)}:{' '}
+                        {order.last_run.success ? `sent (${order.last_run.reference})` : `failed. ${order.last_run.error}`}
+                      </p>
+                    )}
+                  </div>
+                  {isOpen(order) && editing !== order.order_id && (
+                    confirmingCancel === order.order_id ? (
+                      <div className="flex items-center space-x-3 text-sm">
+                        <button
+                          onClick={() => changeStatus(order, 'cancelled', `Your payment to ${order.recipient_name} has been cancelled.`)}
+                          disabled={busy === order.order_id}
+                          className="flex items-center text-red-600 hover:text-red-700 font-medium disabled:opacity-50"
+                        >
+                          {busy === order.order_id && <Loader2 className="animate-spin h-4 w-4 mr-1" />}
+                          Cancel payments
+                        </button>
+                        <button
+                          onClick={() => setConfirmingCancel(null)}
+                          disabled={busy === order.order_id}
+                          className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                        >
+                          Keep
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex items-center space-x-3 text-sm">
+                        {order.status === 'active' ? (
+                          <button
+                            onClick={() => changeStatus(order, 'paused', `Your payment to ${order.recipient_name} is paused.`)}
+                            disabled={busy === order.order_id}
+                            className="flex items-center text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                          >
+                            <Pause className="h-4 w-4 mr-1" />
+                            Pause
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => changeStatus(order, 'active', `Your payment to ${order.recipient_name} has resumed.`)}
+                            disabled={busy === order.order_id}
+                            className="flex items-center text-green-600 hover:text-green-700 disabled:opacity-50"
+                          >
+                            <Play className="h-4 w-4 mr-1" />
+                            Resume
+                          </button>
+                        )}
+                        <button
+                          onClick={() => { setEditing(order.order_id); setNotice(''); }}
+                          className="flex items-center text-gray-600 hover:text-gray-800"
+                        >
+                          <Pencil className="h-4 w-4 mr-1" />
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => setConfirmingCancel(order.order_id)}
+                          className="flex items-center text-red-600 hover:text-red-700"
+                        >
+                          <X className="h-4 w-4 mr-1" />
+                          Cancel
+                        </button>
+                      </div>
+                    )
+                  )}
+                </div>
+                {editing === order.order_id && (
+                  <StandingOrderEditor
+                    order={order}
+                    onSave={(changes) => setPendingEdit({ order, changes })}
+                    onCancel={() => setEditing(null)}
+                  />
+                )}
+              </li>
+            ))}
+            {!loading && !loadError && orders.length === 0 && (
+              <li className="py-4 text-sm text-gray-500">
+                You have no scheduled transfers. Choose "On a later date" or "Repeat" when confirming a transfer.{' '}
+                <Link to="/send-money" className="inline-flex items-center text-green-600 hover:text-green-800">
+                  <Send className="h-4 w-4 mr-1" />
+                  Send money
+                </Link>
+              </li>
+            )}
+          </ul>
+        )}
+      </div>
+
+      {pendingEdit && (
+        <PinPrompt
+          title="Authorize Changes"
+          description={`Enter your PIN to sign the updated payment of ${displayAmount(pendingEdit.changes.amount)} to ${pendingEdit.order.recipient_name}.`}
+          confirmLabel="Authorize"
+          onConfirm={handleConfirmEdit}
+          onCancel={() => setPendingEdit(null)}
+        />
+      )}
+    </div>
+  );
+}
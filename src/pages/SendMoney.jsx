@@ -1,7 +1,22 @@
-import { useState, useEffect } from 'react';
-import { AlertCircle, Check, Loader } from 'lucide-react';
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { Check, Loader, UserPlus } from 'lucide-react';
 import { secureRequest } from '../services/secureApi';
-import * as SecureKeyManager from '../utils/SecureKeyManager';
+import { listBeneficiaries, saveBeneficiary, MAX_NICKNAME_LENGTH } from '../services/beneficiaryApi';
+import { authorizeStandingOrder } from '../services/standingOrderApi';
+import { validateSchedule, describeSchedule } from '../utils/StandingOrder';
+import * as SecureVault from '../utils/SecureVault';
+import { useSession } from '../context/SessionContext';
+import { describeError } from '../utils/describeError';
+import { createLogger } from '../utils/logger';
+import { parseAmount, formatAmount, formatNaira, displayAmount } from '../utils/money';
+import ErrorMessage from '../components/common/ErrorMessage';
+import BeneficiaryPicker from '../components/beneficiaries/BeneficiaryPicker';
+import ScheduleOptions from '../components/transfers/ScheduleOptions';
+
+const SEND_NOW = { frequency: 'now', startDate: '', endDate: '' };
+
+const log = createLogger('SendMoney');
 
 export default function SendMoney() {
   const [step, setStep] = useState(1);
@@ -10,6 +25,8 @@ export default function SendMoney() {
     amount: '',
     description: ''
   });
+  const [schedule, setSchedule] = useState(SEND_NOW);
+  const [scheduleErrors, setScheduleErrors] = useState({});
   const [pin, setPin] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
@@ -17,22 +34,54 @@ export default function SendMoney() {
   const [transactionResult, setTransactionResult] = useState(null);
   const [recipientInfo, setRecipientInfo] = useState(null);
   const [accounts, setAccounts] = useState([]);
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [beneficiaries, setBeneficiaries] = useState([]);
+  const [nickname, setNickname] = useState('');
+  const [savingBeneficiary, setSavingBeneficiary] = useState(false);
+  const [beneficiaryError, setBeneficiaryError] = useState('');
+  // One key per confirmed transfer, so submitting again after a timeout
+  // cannot debit twice. A scheduled transfer also keeps its order ID, so a
+  // resubmission names the same standing order.
+  const [idempotencyKey, setIdempotencyKey] = useState(null);
+  const [orderId, setOrderId] = useState(null);
+  const requestController = useRef(null);
+  const { identity, verifyPin } = useSession();
 
-  // Load user accounts from local storage (set by Registration/Login)
+  // Load user accounts from the local cache (set by Registration/Login)
   useEffect(() => {
-    const userAccounts = localStorage.getItem('userAccounts');
-    if (userAccounts) {
-      setAccounts(JSON.parse(userAccounts));
-      setIsAuthenticated(true);
-    }
+    SecureVault.getAccounts()
+      .then(setAccounts)
+      .catch(err => {
+        setAccounts([]);
+        setError(describeError(err, 'Could not read your accounts on this device.'));
+      });
   }, []);
 
+  // Show the cached beneficiaries at once, then refresh them from the bank
+  useEffect(() => {
+    const controller = new AbortController();
+    SecureVault.getBeneficiaries()
+      .catch(() => []) // an unreadable cache still lets the bank's list load
+      .then(cached => {
+        setBeneficiaries(cached);
+        return listBeneficiaries(identity, { signal: controller.signal });
+      })
+      .then(setBeneficiaries)
+      .catch(() => {}); // keep the cached list when the bank is unreachable
+    return () => controller.abort();
+  }, [identity]);
+
+  // Abandon any request still in flight when leaving the page
+  useEffect(() => () => requestController.current?.abort(), []);
+
+  const newRequestSignal = () => {
+    requestController.current?.abort();
+    requestController.current = new AbortController();
+    return requestController.current.signal;
+  };
+
   // Validate amount before proceeding to next step
   const handleNextStep = async () => {
     const account = accounts?.[0];
-    const available = account ? parseFloat(account.available_balance) : 0;
-    const amount = parseFloat(transactionData.amount);
     const toAccount = transactionData.to_account;
 
     // Validation checks
@@ -40,7 +89,14 @@ export default function SendMoney() {
       setError('Please fill in all required fields.');
       return;
     }
-    if (isNaN(amount) || amount <= 0) {
+    let amount;
+    try {
+      amount = parseAmount(transactionData.amount);
+    } catch (err) {
+      setError(describeError(err));
+      return;
+    }
+    if (amount <= 0) {
       setError('Amount must be greater than zero.');
       return;
     }
@@ -52,12 +108,15 @@ export default function SendMoney() {
       setError('You cannot send money to your own account.');
       return;
     }
-    if (isNaN(available) || available <= 0) {
+    let available;
+    try {
+      available = parseAmount(account?.available_balance);
+    } catch {
       setError('Invalid account balance.');
       return;
     }
     if (amount > available) {
-      setError(`Insufficient funds. Your available balance is ₦${available.toLocaleString()}.`);
+      setError(`Insufficient funds. Your available balance is ${formatNaira(available)}.`);
       return;
     }
 
@@ -67,17 +126,22 @@ export default function SendMoney() {
       const response = await secureRequest({
         target: 'validate_account',
         payload,
-        pin // PIN is not strictly needed for validation, but can be required by backend
+        identity,
+        signal: newRequestSignal(),
       });
       if (response && response.user) {
         setRecipientInfo(response.user);
+        // Confirm and sign exactly the amount that was checked
+        setTransactionData(prev => ({ ...prev, amount: formatAmount(amount) }));
+        setIdempotencyKey(crypto.randomUUID());
+        setOrderId(crypto.randomUUID());
         setError('');
         setStep(2);
       } else {
         setError('Recipient account not found.');
       }
     } catch (err) {
-      setError('Failed to validate recipient account.');
+      setError(describeError(err, 'Failed to validate recipient account.'));
     }
   };
 
@@ -89,11 +153,39 @@ export default function SendMoney() {
   };
 
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name } = e.target;
+    // Amounts are typed as plain decimals: no exponents, signs or grouping
+    const value = name === 'amount' ? e.target.value.replace(/[^0-9.]/g, '') : e.target.value;
     setTransactionData(prev => ({ ...prev, [name]: value }));
     setError('');
   };
 
+  const handleSelectBeneficiary = (beneficiary) => {
+    setTransactionData(prev => ({ ...prev, to_account: beneficiary.account_number }));
+    setError('');
+  };
+
+  const handleSaveBeneficiary = async () => {
+    setSavingBeneficiary(true);
+    setBeneficiaryError('');
+    try {
+      setBeneficiaries(await saveBeneficiary(identity, { accountNumber: transactionData.to_account, nickname }));
+    } catch (err) {
+      setBeneficiaryError(describeError(err, 'Could not save this beneficiary.'));
+    } finally {
+      setSavingBeneficiary(false);
+    }
+  };
+
+  // A different schedule is a different order, not a retry of the last one
+  const handleScheduleChange = (next) => {
+    setSchedule(next);
+    setIdempotencyKey(crypto.randomUUID());
+    setOrderId(crypto.randomUUID());
+    setScheduleErrors({});
+    setError('');
+  };
+
   const handlePinChange = (e) => {
     const value = e.target.value.replace(/[^0-9]/g, '');
     if (value.length <= 6) {
@@ -109,6 +201,14 @@ export default function SendMoney() {
       setError('Please enter your 6-digit PIN.');
       return;
     }
+    const isScheduled = schedule.frequency !== 'now';
+    if (isScheduled) {
+      const errors = validateSchedule(schedule);
+      if (Object.keys(errors).length > 0) {
+        setScheduleErrors(errors);
+        return;
+      }
+    }
 
     setLoading(true);
     setError('');
@@ -118,27 +218,43 @@ export default function SendMoney() {
       if (!account) throw new Error('No account found.');
 
       // Final validation before sending
-      const amount = parseFloat(transactionData.amount);
-      if (isNaN(amount) || amount <= 0) {
+      const amount = parseAmount(transactionData.amount);
+      if (amount <= 0) {
         setError('Amount must be greater than zero.');
         setLoading(false);
         return;
       }
-      if (amount > parseFloat(account.available_balance)) {
+      if (amount > parseAmount(account.available_balance)) {
         setError('Insufficient funds.');
         setLoading(false);
         return;
       }
 
-      // Verify PIN and unlock key before sending
-      const keyData = await SecureKeyManager.fetchEncryptedPrivateKey();
-      if (!keyData) throw new Error('No encrypted key found. Please login again.');
-      await SecureKeyManager.decryptPrivateKey(keyData.encrypted, pin, keyData.salt, keyData.iv);
+      // Re-check the PIN to authorize this transfer
+      await verifyPin(pin);
+
+      // A standing order is authorized by signing its schedule; the bank
+      // makes the payments itself
+      if (isScheduled) {
+        await authorizeStandingOrder(identity, {
+          orderId,
+          fromAccount: account.account_number,
+          toAccount: transactionData.to_account,
+          amount: formatAmount(amount),
+          description: transactionData.description,
+          ...schedule,
+        }, {
+          signal: newRequestSignal(),
+          idempotencyKey,
+        });
+        setSuccess(true);
+        return;
+      }
 
       const payload = {
         from_account: account.account_number,
         to_account: transactionData.to_account,
-        amount: transactionData.amount,
+        amount: formatAmount(amount),
         description: transactionData.description || 'Fund Transfer',
       };
 
@@ -146,31 +262,26 @@ export default function SendMoney() {
       const response = await secureRequest({
         target: 'transfer',
         payload,
-        pin
+        identity,
+        signal: newRequestSignal(),
+        idempotencyKey,
       });
 
       if (response.success) {
         setTransactionResult(response);
         setSuccess(true);
 
-        // Update user data and accounts in localStorage if provided by server
-        if (response.user) {
-          localStorage.setItem('userProfile', JSON.stringify(response.user));
-        }
+        // Update the local cache if the server sent fresh user data
+        await SecureVault.saveUserData(response);
         if (response.accounts) {
-          localStorage.setItem('userAccounts', JSON.stringify(response.accounts));
           setAccounts(response.accounts); // update local state for immediate UI update
         }
-        if (response.transactions) {
-          localStorage.setItem('userTransactions', JSON.stringify(response.transactions));
-        }
       } else {
         throw new Error(response.error || 'Transaction failed. Please try again.');
       }
     } catch (err) {
-      console.error('Transfer Error:', err);
-      const errorMessage = err.response?.data?.error || err.message || 'An unexpected error occurred.';
-      setError(errorMessage);
+      log.warn('Transfer failed:', { name: err?.name, status: err?.status, code: err?.code });
+      setError(describeError(err, 'An unexpected error occurred.'));
     } finally {
       setLoading(false);
     }
@@ -184,17 +295,14 @@ export default function SendMoney() {
     setSuccess(false);
     setTransactionResult(null);
     setRecipientInfo(null);
+    setIdempotencyKey(null);
+    setOrderId(null);
+    setNickname('');
+    setBeneficiaryError('');
+    setSchedule(SEND_NOW);
+    setScheduleErrors({});
   };
 
-  if (!isAuthenticated) {
-    return (
-      <div className="flex justify-center items-center h-64">
-        <AlertCircle className="h-8 w-8 text-red-600" />
-        <p className="ml-4 text-gray-600">You must be logged in to send money.</p>
-      </div>
-    );
-  }
-
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -205,17 +313,73 @@ export default function SendMoney() {
   }
 
   if (success) {
+    const savedBeneficiary = beneficiaries.find(b => b.account_number === transactionData.to_account);
+    const isScheduled = schedule.frequency !== 'now';
     return (
       <div className="max-w-lg mx-auto p-8 bg-white shadow-lg rounded-lg text-center">
         <Check className="mx-auto h-16 w-16 text-green-500 bg-green-100 rounded-full p-2" />
-        <h2 className="mt-4 text-2xl font-bold text-gray-800">Transfer Successful!</h2>
-        <p className="mt-2 text-gray-600">
-          You have successfully sent <strong>₦{parseFloat(transactionData.amount).toLocaleString()}</strong> to account <strong>{transactionData.to_account}</strong>.
-        </p>
-        <div className="mt-6 text-left bg-gray-50 p-4 rounded-md">
-          <p className="text-sm text-gray-500">Transaction ID:</p>
-          <p className="font-mono text-xs text-gray-800 break-all">{transactionResult?.debit_transaction_id}</p>
-        </div>
+        {isScheduled ? (
+          <>
+            <h2 className="mt-4 text-2xl font-bold text-gray-800">Payment Scheduled</h2>
+            <p className="mt-2 text-gray-600">
+              <strong>{displayAmount(transactionData.amount)}</strong> will be sent to account <strong>{transactionData.to_account}</strong>.
+            </p>
+            <p className="mt-1 text-gray-600">
+              {describeSchedule({ frequency: schedule.frequency, start_date: schedule.startDate, end_date: schedule.endDate })}
+            </p>
+            <Link to="/transfers/scheduled" className="mt-4 inline-block text-sm font-medium text-green-600 hover:text-green-800">
+              View scheduled transfers
+            </Link>
+          </>
+        ) : (
+          <>
+            <h2 className="mt-4 text-2xl font-bold text-gray-800">Transfer Successful!</h2>
+            <p className="mt-2 text-gray-600">
+              You have successfully sent <strong>{displayAmount(transactionData.amount)}</strong> to account <strong>{transactionData.to_account}</strong>.
+            </p>
+            <div className="mt-6 text-left bg-gray-50 p-4 rounded-md">
+              <p className="text-sm text-gray-500">Transaction ID:</p>
+              <p className="font-mono text-xs text-gray-800 break-all">{transactionResult?.debit_transaction_id}</p>
+            </div>
+          </>
+        )}
+        {savedBeneficiary ? (
+          <p className="mt-4 flex items-center justify-center text-sm text-green-700">
+            <Check className="h-4 w-4 mr-1" />
+            Saved as {savedBeneficiary.nickname || savedBeneficiary.account_name}
+          </p>
+        ) : (
+          <div className="mt-6 text-left">
+            <label htmlFor="nickname" className="block text-sm font-medium text-gray-700">
+              Save {recipientInfo ? `${recipientInfo.first_name} ${recipientInfo.last_name}` : 'this recipient'} as a beneficiary
+            </label>
+            <div className="mt-1 flex space-x-2">
+              <input
+                type="text"
+                id="nickname"
+                value={nickname}
+                maxLength={MAX_NICKNAME_LENGTH}
+                onChange={(e) => setNickname(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+                placeholder="Nickname (optional)"
+              />
+              <button
+                type="button"
+                onClick={handleSaveBeneficiary}
+                disabled={savingBeneficiary}
+                className="flex items-center px-4 py-2 border border-green-600 text-sm font-medium rounded-md text-green-700 hover:bg-green-50 disabled:opacity-50"
+              >
+                {savingBeneficiary ? <Loader className="animate-spin h-4 w-4" /> : (
+                  <>
+                    <UserPlus className="h-4 w-4 mr-1" />
+                    Save
+                  </>
+                )}
+              </button>
+            </div>
+            <ErrorMessage error={beneficiaryError} className="mt-2" />
+          </div>
+        )}
         <button
           onClick={resetForm}
           className="mt-8 w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
@@ -234,7 +398,7 @@ export default function SendMoney() {
           <div className="text-right">
             <p className="text-sm text-gray-500">Available Balance</p>
             <p className="text-xl font-semibold text-indigo-600">
-              ₦{parseFloat(accounts[0].available_balance).toLocaleString()}
+              {displayAmount(accounts[0].available_balance)}
             </p>
           </div>
         )}
@@ -254,17 +418,17 @@ export default function SendMoney() {
       </div>
 
       <form onSubmit={handleSubmit} className="space-y-6">
-        {error && (
-          <div className="flex items-center space-x-2 text-sm text-red-600 bg-red-50 p-3 rounded-md">
-            <AlertCircle className="h-5 w-5" />
-            <span>{error}</span>
-          </div>
-        )}
+        <ErrorMessage error={error} />
 
         {step === 1 && (
           <div>
             <h3 className="text-lg font-medium text-gray-700 mb-4">Recipient Details</h3>
             <div className="space-y-4">
+              <BeneficiaryPicker
+                beneficiaries={beneficiaries}
+                selected={transactionData.to_account}
+                onSelect={handleSelectBeneficiary}
+              />
               <div>
                 <label htmlFor="to_account" className="block text-sm font-medium text-gray-700">
                   Recipient Account Number
@@ -284,7 +448,9 @@ export default function SendMoney() {
                   Amount (₦)
                 </label>
                 <input
-                  type="number"
+                  type="text"
+                  inputMode="decimal"
+                  autoComplete="off"
                   name="amount"
                   id="amount"
                   value={transactionData.amount}
@@ -336,7 +502,7 @@ export default function SendMoney() {
               )}
               <div className="flex justify-between">
                 <span className="text-gray-600">Amount:</span>
-                <span className="font-bold text-xl text-indigo-600">₦{parseFloat(transactionData.amount).toLocaleString()}</span>
+                <span className="font-bold text-xl text-indigo-600">{displayAmount(transactionData.amount)}</span>
               </div>
               {transactionData.description && (
                 <div className="flex justify-between">
@@ -345,6 +511,9 @@ export default function SendMoney() {
                 </div>
               )}
             </div>
+            <div className="mt-6">
+              <ScheduleOptions value={schedule} onChange={handleScheduleChange} errors={scheduleErrors} />
+            </div>
             <div className="mt-6">
               <label htmlFor="pin" className="block text-sm font-medium text-gray-700">
                 Enter your 6-digit PIN to authorize
@@ -381,7 +550,7 @@ export default function SendMoney() {
                 disabled={loading || pin.length !== 6}
                 className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50"
               >
-                {loading ? <Loader className="animate-spin h-5 w-5" /> : 'Confirm & Send'}
+                {loading ? <Loader className="animate-spin h-5 w-5" /> : schedule.frequency === 'now' ? 'Confirm & Send' : 'Confirm & Schedule'}
               </button>
             </div>
           </div>
@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { ShieldAlert, Loader2, RefreshCw } from 'lucide-react';
+import { getSetting } from '../utils/SecureStorage';
+import {
+  getServerPublicKey,
+  resetServerKeyPin,
+  SERVER_KEY_MISMATCH_SETTING,
+} from '../utils/SecureKeyManager';
+import { describeError } from '../utils/describeError';
+import ErrorMessage from '../components/common/ErrorMessage';
+
+// Groups a hex fingerprint into blocks of four so it can be compared by eye
+const formatFingerprint = (hex) => (hex ? hex.match(/.{1,4}/g).join(' ') : 'Unknown');
+
+export default function ServerKeyWarning() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [mismatch, setMismatch] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [checkError, setCheckError] = useState('');
+  const [acknowledged, setAcknowledged] = useState(false);
+
+  useEffect(() => {
+    getSetting(SERVER_KEY_MISMATCH_SETTING).then(setMismatch).catch(() => {});
+  }, []);
+
+  const goBack = () => navigate(location.state?.from?.pathname || '/', { replace: true });
+
+  // Fetch the key again; if it matches the pin (or carries a valid rotation
+  // statement) the block is lifted
+  const handleCheckAgain = async () => {
+    setIsChecking(true);
+    setCheckError('');
+    try {
+      await getServerPublicKey();
+      goBack();
+    } catch (err) {
+      setCheckError(describeError(err, 'The server could not be reached.'));
+      setMismatch(await getSetting(SERVER_KEY_MISMATCH_SETTING));
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleTrustNewKey = async () => {
+    await resetServerKeyPin();
+    goBack();
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50 px-4">
+      <div className="max-w-lg w-full bg-white rounded-lg shadow-md p-8">
+        <div className="flex justify-center mb-4">
+          <ShieldAlert className="h-16 w-16 text-red-500" />
+        </div>
+        <h1 className="text-2xl font-bold text-gray-800 mb-2 text-center">Server Identity Changed</h1>
+        <p className="text-gray-600 mb-6 text-center">
+          The bank server presented an encryption key that does not match the one this device trusts.
+          Someone may be intercepting your connection, so all secure requests have been blocked.
+        </p>
+
+        {mismatch && (
+          <div className="bg-gray-50 rounded-md p-4 mb-6 text-xs text-gray-700 space-y-2">
+            <div>
+              <p className="font-medium">Trusted key</p>
+              <p className="font-mono break-all">{formatFingerprint(mismatch.expected)}</p>
+            </div>
+            <div>
+              <p className="font-medium">Key presented</p>
+              <p className="font-mono break-all text-red-600">{formatFingerprint(mismatch.received)}</p>
+            </div>
+            <p className="text-gray-500">Detected {new Date(mismatch.detectedAt).toLocaleString()}</p>
+          </div>
+        )}
+
+        <ErrorMessage error={checkError} className="mb-4" />
+
+        <button
+          onClick={handleCheckAgain}
+          disabled={isChecking}
+          className="w-full flex justify-center items-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:bg-gray-400"
+        >
+          {isChecking ? (
+            <>
+              <Loader2 className="animate-spin h-5 w-5 mr-2" />
+              Checking...
+            </>
+          ) : (
+            <>
+              <RefreshCw className="h-5 w-5 mr-2" />
+              Check Again
+            </>
+          )}
+        </button>
+
+        <div className="mt-8 border-t border-gray-200 pt-6">
+          <p className="text-sm text-gray-600 mb-3">
+            Only trust the new key if the bank has confirmed a key change through another channel and the fingerprint above matches what they gave you.
+          </p>
+          <label className="flex items-start text-sm text-gray-700 mb-3">
+            <input
+              type="checkbox"
+              checked={acknowledged}
+              onChange={e => setAcknowledged(e.target.checked)}
+              className="mt-0.5 mr-2 h-4 w-4 text-red-600 border-gray-300 rounded"
+            />
+            I have verified the new fingerprint with the bank.
+          </label>
+          <button
+            onClick={handleTrustNewKey}
+            disabled={!acknowledged}
+            className="w-full py-2 px-4 border border-red-300 rounded-md text-sm font-medium text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+          >
+            Trust the New Key
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
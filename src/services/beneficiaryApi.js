@@ -0,0 +1,42 @@
+import { secureRequest } from './secureApi';
+import * as SecureVault from '../utils/SecureVault';
+
+// Saved recipients. The bank keeps the list so it follows the user to every
+// device, and resolves the account holder's name itself when an entry is
+// saved; each device caches the latest list in the encrypted vault for the
+// recipient picker.
+
+export const MAX_NICKNAME_LENGTH = 40;
+
+export function normalizeNickname(nickname) {
+    return (nickname || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NICKNAME_LENGTH);
+}
+
+// Every target answers with the full list, which replaces the cached one
+async function syncedList(response) {
+    const beneficiaries = response?.beneficiaries || [];
+    await SecureVault.saveBeneficiaries(beneficiaries);
+    return beneficiaries;
+}
+
+// Resolves to [{ account_number, account_name, nickname, created_at }]
+export async function listBeneficiaries(identity, { signal } = {}) {
+    return await syncedList(await secureRequest({ target: 'list_beneficiaries', payload: {}, identity, signal }));
+}
+
+// Adds the account, or renames it if it is already saved
+export async function saveBeneficiary(identity, { accountNumber, nickname }) {
+    return await syncedList(await secureRequest({
+        target: 'save_beneficiary',
+        payload: { account_number: accountNumber, nickname: normalizeNickname(nickname) },
+        identity,
+    }));
+}
+
+export async function deleteBeneficiary(identity, accountNumber) {
+    return await syncedList(await secureRequest({
+        target: 'delete_beneficiary',
+        payload: { account_number: accountNumber },
+        identity,
+    }));
+}
@@ -0,0 +1,72 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import { createMockGateway } from '../../mock/gateway.js';
+import { listBeneficiaries, saveBeneficiary, deleteBeneficiary, normalizeNickname } from './beneficiaryApi';
+import * as SecureVault from '../utils/SecureVault';
+import { GatewayRejectedError } from '../utils/errors';
+import { resetGatewayState, newIdentity, registerUser } from '../test/registeredIdentity';
+
+const ADA = '0123456789';
+const TUNDE = '1234567890';
+
+let identity;
+let account;
+
+beforeAll(async () => {
+    await SecureVault.createVault('123456');
+});
+
+beforeEach(async () => {
+    await resetGatewayState();
+    globalThis.fetch = createMockGateway().fetch;
+
+    identity = await newIdentity();
+    ({ accounts: [account] } = await registerUser(identity));
+});
+
+afterEach(() => {
+    delete globalThis.fetch;
+});
+
+describe('beneficiaries', () => {
+    it('saves a recipient with the name the bank resolves and caches the list', async () => {
+        const saved = await saveBeneficiary(identity, { accountNumber: ADA, nickname: '  Landlady  ' });
+
+        expect(saved).toEqual([
+            expect.objectContaining({ account_number: ADA, account_name: 'Ada Obi', nickname: 'Landlady' }),
+        ]);
+        expect(await SecureVault.getBeneficiaries()).toEqual(saved);
+        expect(await listBeneficiaries(identity)).toEqual(saved);
+    });
+
+    it('renames an existing entry instead of duplicating it', async () => {
+        await saveBeneficiary(identity, { accountNumber: TUNDE, nickname: 'Tunde' });
+        const saved = await saveBeneficiary(identity, { accountNumber: TUNDE, nickname: '' });
+
+        expect(saved).toHaveLength(1);
+        expect(saved[0]).toMatchObject({ account_name: 'Tunde Bello', nickname: null });
+    });
+
+    it('deletes entries, and deleting twice is harmless', async () => {
+        await saveBeneficiary(identity, { accountNumber: ADA });
+        await saveBeneficiary(identity, { accountNumber: TUNDE });
+
+        expect((await deleteBeneficiary(identity, ADA)).map(b => b.account_number)).toEqual([TUNDE]);
+        expect(await deleteBeneficiary(identity, ADA)).toHaveLength(1);
+        expect((await SecureVault.getBeneficiaries()).map(b => b.account_number)).toEqual([TUNDE]);
+    });
+
+    it('refuses unknown and own accounts', async () => {
+        await expect(saveBeneficiary(identity, { accountNumber: '0000000000' }))
+            .rejects.toMatchObject({ status: 404, code: 'account_not_found' });
+        const error = await saveBeneficiary(identity, { accountNumber: account.account_number }).catch(e => e);
+        expect(error).toBeInstanceOf(GatewayRejectedError);
+        expect(error.code).toBe('own_account');
+    });
+
+    it('normalizes nicknames before sending them', () => {
+        expect(normalizeNickname('  Mum \n  work ')).toBe('Mum work');
+        expect(normalizeNickname(undefined)).toBe('');
+        expect(normalizeNickname('x'.repeat(60))).toHaveLength(40);
+    });
+});
@@ -0,0 +1,29 @@
+import { secureRequest } from './secureApi';
+import { signDeviceAuthorization } from '../utils/DeviceLink';
+import { ValidationError } from '../utils/errors';
+
+// Device key management. Every call is signed by the session's identity key,
+// so only an enrolled device can list, add or revoke device keys.
+
+// Resolves to [{ key_id, label, created_at, last_used_at }]
+export async function listDevices(identity) {
+    const response = await secureRequest({ target: 'list_devices', payload: {}, identity });
+    return response?.devices || [];
+}
+
+// `device` is a parsed link code (see DeviceLink.parseLinkCode)
+export async function authorizeDevice(identity, device) {
+    const { authorization, signature } = await signDeviceAuthorization(identity, device);
+    return await secureRequest({
+        target: 'authorize_device',
+        payload: { authorization, authorization_signature: signature },
+        identity,
+    });
+}
+
+export async function revokeDevice(identity, keyId) {
+    if (keyId === identity.keyId) {
+        throw new ValidationError('You cannot revoke the key this device is signed in with.', { field: 'key_id' });
+    }
+    return await secureRequest({ target: 'revoke_device', payload: { key_id: keyId }, identity });
+}
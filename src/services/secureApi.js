@@ -1,143 +1,318 @@
 import * as SecureKeyManager from '../utils/SecureKeyManager';
+import * as SessionKeyManager from '../utils/SessionKeyManager';
+import {
+    SessionLockedError,
+    DecryptionError,
+    NetworkError,
+    RequestTimeoutError,
+    RequestCancelledError,
+    GatewayRejectedError,
+    RateLimitedError,
+    ResponseVerificationError,
+} from '../utils/errors';
+import { assertClockInSync, recordServerTime } from '../utils/ClockSkew';
+import config from '../config';
+import { createLogger } from '../utils/logger';
 
-// Unified secure request handler for all middleware requests
-export async function secureRequest({ target, payload, pin }) {
-    console.log('[secureRequest] Start');
-    console.log('[secureRequest] Input:', { target, payload, pin: !!pin });
+const log = createLogger('secureRequest');
 
-    let identityKeyPair, publicKeyPem;
+// Version of the signed request envelope
+// { version, target, nonce, timestamp, client_key_id, transaction_data };
+// bump it whenever the set of signed fields or their canonical form changes
+export const SIGNED_ENVELOPE_VERSION = 1;
 
-    // Step 1: Retrieve or generate identity keypair
-    try {
-        console.log('[KeyPair] Attempting to fetch encrypted private key...');
-        const { encrypted, salt, iv } = await SecureKeyManager.fetchEncryptedPrivateKey();
-        console.log('[KeyPair] Encrypted private key fetched:', { encrypted, salt, iv });
+// Per-attempt time limit for a gateway round trip
+export const DEFAULT_TIMEOUT_MS = 20 * 1000;
 
-        identityKeyPair = await SecureKeyManager.decryptPrivateKey(encrypted, pin, salt, iv);
-        console.log('[KeyPair] Private key decrypted successfully:', identityKeyPair);
+// Targets that only read, so a failed attempt can simply be sent again. Every
+// other target carries an idempotency key instead and is never retried here.
+const IDEMPOTENT_TARGETS = new Set(['get_profile', 'validate_account', 'list_devices', 'list_beneficiaries', 'list_standing_orders']);
 
-        publicKeyPem = await SecureKeyManager.exportPublicKeyAsPem(identityKeyPair.publicKey);
-        console.log('[KeyPair] Public key PEM exported:', publicKeyPem);
-    } catch (err) {
-        console.warn('[KeyPair] Failed to fetch/decrypt private key. Generating new keypair. Error:', err);
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10 * 1000;
+
+// Nonces whose responses have already been accepted in this page session
+const acceptedNonces = new Set();
+
+// The decrypted gateway envelope is { response, nonce, server_time, server_signature },
+// where server_signature is the middleware's ECDSA signature over
+// canonicalizeJson({ nonce, response, server_time }). Returns the verified
+// response body and server time.
+async function openSignedResponse(envelope, expectedNonce, signingKey) {
+    if (!envelope || typeof envelope !== 'object' || !envelope.server_signature || !('response' in envelope)) {
+        throw new ResponseVerificationError('The server response was not signed.', { reason: 'unsigned' });
+    }
+    const { response, nonce, server_time: serverTime, server_signature: signature } = envelope;
+    const valid = await SecureKeyManager.verifySignature({ nonce, response, server_time: serverTime }, signature, signingKey);
+    if (!valid) {
+        throw new ResponseVerificationError('The server response signature is invalid.', { reason: 'bad-signature' });
+    }
+    if (nonce !== expectedNonce) {
+        throw new ResponseVerificationError('The server response does not belong to this request.', { reason: 'nonce-mismatch' });
+    }
+    if (acceptedNonces.has(nonce)) {
+        throw new ResponseVerificationError('The server response has already been used.', { reason: 'replayed' });
+    }
+    acceptedNonces.add(nonce);
+    return { response, serverTime };
+}
+
+// Map a non-2xx gateway answer to a typed error. `body` is the verified,
+// decrypted error ({ error, code, retry_after }) when there is one.
+function rejectionError(res, body = null) {
+    const message = body?.error || undefined;
+    const code = body?.code || null;
+    if (res.status === 429) {
+        const retryAfter = Number(body?.retry_after ?? res.headers.get('Retry-After')) || null;
+        return new RateLimitedError(message, { code: code || undefined, retryAfter });
+    }
+    return new GatewayRejectedError(message, { status: res.status, code });
+}
+
+// --- Timeouts and retries ---
 
-        identityKeyPair = await SecureKeyManager.generateSigningKeyPair();
-        console.log('[KeyPair] New signing keypair generated:', identityKeyPair);
+// Abort reason to surface from a fetch that was interrupted
+function abortError(signal) {
+    return signal.reason instanceof RequestTimeoutError ? signal.reason : new RequestCancelledError();
+}
 
-        publicKeyPem = await SecureKeyManager.exportPublicKeyAsPem(identityKeyPair.publicKey);
-        console.log('[KeyPair] Public key PEM exported:', publicKeyPem);
+// One controller per attempt, aborted by the caller's signal or by the timeout
+function attemptSignal(signal, timeoutMs) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(new RequestCancelledError());
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => controller.abort(new RequestTimeoutError(undefined, { timeoutMs })), timeoutMs);
+    const release = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    };
+    return { signal: controller.signal, release };
+}
+
+// Settles with the abort reason as soon as `signal` fires, so a stalled key
+// exchange cannot outlast the timeout either
+function untilAborted(promise, signal) {
+    return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(abortError(signal)), { once: true });
+        promise.then(resolve, reject);
+    });
+}
 
-        const { encrypted, salt, iv } = await SecureKeyManager.encryptPrivateKey(identityKeyPair.privateKey, pin);
-        console.log('[KeyPair] Private key encrypted:', { encrypted, salt, iv });
+function isRetryable(err) {
+    if (err instanceof RateLimitedError) return true;
+    if (err instanceof GatewayRejectedError) return err.status >= 500;
+    return err instanceof NetworkError;
+}
 
-        await SecureKeyManager.saveEncryptedPrivateKey(encrypted, salt, iv);
-        console.log('[KeyPair] Encrypted private key saved.');
+// Exponential backoff with jitter, or the server's Retry-After when it sent one
+function retryDelay(err, attempt) {
+    if (err instanceof RateLimitedError && err.retryAfter) {
+        return Math.min(err.retryAfter * 1000, MAX_RETRY_DELAY_MS);
     }
+    const base = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return Math.min(base + Math.random() * base, MAX_RETRY_DELAY_MS);
+}
 
-    // Step 2: Fetch server public key
-    console.log('[ServerKey] Fetching server public key...');
-    const serverPublicKey = await SecureKeyManager.getServerPublicKey();
-    console.log('[ServerKey] Server public key imported:', serverPublicKey);
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new RequestCancelledError());
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new RequestCancelledError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
-    // Step 3: Generate ephemeral key pair for session
-    console.log('[EphemeralKey] Generating ephemeral key pair...');
-    const ephemeralKeyPair = await SecureKeyManager.generateEphemeralKeyPair();
-    console.log('[EphemeralKey] Ephemeral key pair generated:', ephemeralKeyPair);
+// Unified secure request handler for all middleware requests.
+// `identity` is the keypair unlocked for the current session (see SessionContext).
+// `signal` cancels the request and `timeoutMs` limits each attempt. Read-only
+// targets are retried with backoff on network, 5xx and rate-limit failures.
+// Every other target gets `idempotencyKey` (generated when not given) in its
+// signed payload, so sending it again can never apply it twice; callers that
+// let the user retry should keep the key for the whole operation.
+export async function secureRequest({
+    target,
+    payload,
+    identity,
+    signal,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    idempotencyKey,
+}) {
+    const idempotent = IDEMPOTENT_TARGETS.has(target);
+    const transactionData = idempotent
+        ? payload
+        : { ...payload, idempotency_key: idempotencyKey || crypto.randomUUID() };
+    const maxRetries = idempotent ? MAX_RETRIES : 0;
 
-    const ephemeralPubkey = SecureKeyManager.toBase64(
-        await window.crypto.subtle.exportKey('spki', ephemeralKeyPair.publicKey)
-    );
-    console.log('[EphemeralKey] Ephemeral public key (base64):', ephemeralPubkey);
+    for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) throw new RequestCancelledError();
+        const attemptControl = attemptSignal(signal, timeoutMs);
+        try {
+            return await untilAborted(
+                sendSecureRequest({ target, payload: transactionData, identity, signal: attemptControl.signal }),
+                attemptControl.signal
+            );
+        } catch (err) {
+            if (attempt >= maxRetries || !isRetryable(err)) throw err;
+            log.warn(`Attempt ${attempt + 1} for ${target} failed, retrying:`, err);
+            await wait(retryDelay(err, attempt), signal);
+        } finally {
+            attemptControl.release();
+        }
+    }
+}
 
-    // Step 4: Derive shared secret and session key
-    console.log('[Session] Deriving shared secret...');
-    const sharedSecret = await SecureKeyManager.deriveSharedSecret(
-        ephemeralKeyPair.privateKey,
-        serverPublicKey
-    );
-    console.log('[Session] Shared secret derived:', sharedSecret);
+// A single signed, encrypted round trip to the gateway
+async function sendSecureRequest({ target, payload, identity, signal }) {
+    log.debug(`Sending ${target}`, payload);
+
+    // Step 1: Use the session's identity keypair
+    if (!identity) {
+        throw new SessionLockedError();
+    }
+    const publicKeyPem = await SecureKeyManager.exportPublicKeyAsPem(identity.publicKey);
 
-    console.log('[Session] Deriving session key...');
-    const sessionKey = await SecureKeyManager.deriveSessionKey(sharedSecret);
-    console.log('[Session] Session key derived:', sessionKey);
+    // Step 2: Pinned server signing key for verifying the response
+    const serverSigningKey = await SecureKeyManager.getServerSigningKey();
 
-    // Step 5: Prepare payload to sign
+    // Steps 3-4: Reuse the current ECDH session key, rekeying when it expires
+    const {
+        version: protocolVersion,
+        ephemeralPubkey,
+        requestKey,
+        responseKey,
+        iv: messageIv,
+        counter,
+    } = await SessionKeyManager.nextMessageKey();
+    log.debug('Session key reserved', { protocolVersion, counter });
+
+    // Cleartext envelope headers; from protocol version 2 they are authenticated as AAD
+    const envelopeHeaders = {
+        protocol_version: protocolVersion,
+        ephemeral_pubkey: ephemeralPubkey,
+        counter,
+    };
+
+    // Step 5: Build the signed envelope. Everything the server acts on is
+    // inside the signature, so a captured request cannot be replayed under a
+    // different target, nonce or time.
+    assertClockInSync();
     const timestamp = Math.floor(Date.now() / 1000);
     const nonce = crypto.randomUUID();
-    console.log('[Payload] Timestamp:', timestamp, 'Nonce:', nonce);
 
-    const signPayloadDict = {
+    const clientKeyId = await SecureKeyManager.computeKeyId(
+        await window.crypto.subtle.exportKey('spki', identity.publicKey)
+    );
+    const signedEnvelope = {
+        version: SIGNED_ENVELOPE_VERSION,
+        target,
+        nonce,
+        timestamp,
+        client_key_id: clientKeyId,
         transaction_data: payload,
     };
-    console.log('[Payload] Data to sign:', signPayloadDict);
+    log.debug('Signing envelope', signedEnvelope);
 
-    const canonicalJson = SecureKeyManager.canonicalizeJson(signPayloadDict);
-    console.log('[Payload] Canonical JSON to sign:', canonicalJson);
-
-    const clientSignature = await SecureKeyManager.signTransaction(signPayloadDict, identityKeyPair.privateKey);
-    console.log('[Payload] Client signature (base64):', clientSignature);
+    const clientSignature = await SecureKeyManager.signTransaction(signedEnvelope, identity.privateKey);
 
     // Step 6: Build secure payload
     const securePayload = {
-        target,
-        transaction_data: payload,
+        ...signedEnvelope,
         client_signature: clientSignature,
         client_public_key: publicKeyPem,
-        nonce,
     };
-    console.log('[Payload] Secure payload (before encryption):', securePayload);
 
     // Step 7: Encrypt payload
-    console.log('[Encryption] Encrypting payload...');
-    const { ciphertext, iv } = await SecureKeyManager.encryptPayload(securePayload, sessionKey);
-    console.log('[Encryption] Encrypted payload:', { ciphertext, iv });
+    const { ciphertext, iv } = await SecureKeyManager.encryptPayload(
+        securePayload,
+        requestKey,
+        messageIv,
+        SecureKeyManager.envelopeAad(envelopeHeaders, 'request')
+    );
 
     // Step 8: Send to backend
-    const SECURECIPHER_MIDDLEWARE_GATEWAY_URL = 'http://localhost:8000/api/secure/gateway/';
-    if (!SECURECIPHER_MIDDLEWARE_GATEWAY_URL) {
-        throw new Error('[Config] SECURECIPHER_MIDDLEWARE_GATEWAY_URL is not defined in environment variables');
-    }
-    if (!SECURECIPHER_MIDDLEWARE_GATEWAY_URL.startsWith('http')) {
-        throw new Error('[Config] SECURECIPHER_MIDDLEWARE_GATEWAY_URL must start with http:// or https://');
+    log.debug('Sending to', config.gatewayUrl);
+    const sentAt = Date.now();
+    let res;
+    try {
+        res = await fetch(config.gatewayUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+            },
+            body: JSON.stringify({
+                ...envelopeHeaders,
+                ciphertext,
+                iv
+            }),
+            credentials: 'same-origin',
+            signal,
+        });
+    } catch (err) {
+        // The server may or may not have seen it; do not reuse a session whose state is unknown
+        SessionKeyManager.resetSession();
+        if (signal.aborted) throw abortError(signal);
+        throw new NetworkError(undefined, { cause: err });
     }
 
-    console.log('[Network] Sending encrypted payload to backend:', SECURECIPHER_MIDDLEWARE_GATEWAY_URL);
-    const res = await fetch(SECURECIPHER_MIDDLEWARE_GATEWAY_URL, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-        },
-        body: JSON.stringify({
-            ephemeral_pubkey: ephemeralPubkey,
-            ciphertext,
-            iv
-        }),
-        credentials: 'same-origin'
-    });
-
     // Step 9: Handle response
-    const responseData = await res.json();
-    console.log('[Network] Response data from backend:', responseData);
+    const responseAad = SecureKeyManager.envelopeAad(envelopeHeaders, 'response');
+    let responseData;
+    try {
+        responseData = await res.json();
+    } catch (err) {
+        SessionKeyManager.resetSession();
+        if (signal.aborted) throw abortError(signal);
+        if (!res.ok) throw rejectionError(res);
+        throw new NetworkError('The bank server sent an unreadable response.', { cause: err });
+    }
+    log.debug('Gateway responded', { status: res.status });
 
     if (!res.ok) {
-        let errorMsg = 'An unknown error occurred.';
+        // Any rejection starts a fresh key exchange for the next request
+        let decryptedError = null;
         try {
-            console.log('[Network] Attempting to decrypt error response...');
-            const decryptedError = await SecureKeyManager.decryptResponse(responseData, sessionKey);
-            errorMsg = decryptedError.error || errorMsg;
-            console.error('[Network] Decrypted error from backend:', decryptedError);
+            const opened = await openSignedResponse(
+                await SecureKeyManager.decryptResponse(responseData, responseKey, responseAad),
+                nonce,
+                serverSigningKey
+            );
+            decryptedError = opened.response;
+            recordServerTime(opened.serverTime, sentAt);
+            log.warn(`Gateway rejected ${target}:`, { status: res.status, code: decryptedError?.code });
         } catch (e) {
-            errorMsg = e.message || errorMsg;
-            console.error('[Network] Failed to decrypt error response:', e);
+            // Unverified error text is never shown; the status alone decides the error
+            log.warn(`Gateway rejected ${target} with an unreadable error:`, e);
         }
-        throw new Error(`[${res.status}] ${errorMsg}`);
+        // If the server could not use our session key, re-check its public key too
+        SessionKeyManager.resetSession({ refetchServerKey: !decryptedError });
+        // A request bounced for its timestamp is the clock's fault, not the bank's
+        assertClockInSync();
+        throw rejectionError(res, decryptedError);
     }
 
-    console.log('[Network] Decrypting backend response...');
-    const decryptedResponse = await SecureKeyManager.decryptResponse(responseData, sessionKey);
-    console.log('[Network] Decrypted response from backend:', decryptedResponse);
+    let decryptedResponse;
+    try {
+        const decryptedEnvelope = await SecureKeyManager.decryptResponse(responseData, responseKey, responseAad);
+        const opened = await openSignedResponse(decryptedEnvelope, nonce, serverSigningKey);
+        decryptedResponse = opened.response;
+        // Keep the skew estimate fresh so the next request is checked against it.
+        // Only the signed time counts; anything outside the envelope is unauthenticated.
+        recordServerTime(opened.serverTime, sentAt);
+    } catch (e) {
+        SessionKeyManager.resetSession({ refetchServerKey: true });
+        if (e instanceof ResponseVerificationError) throw e;
+        throw new DecryptionError('The bank\'s response could not be decrypted.', { reason: 'response' });
+    }
 
-    console.log('[secureRequest] End');
+    log.debug('Verified response', decryptedResponse);
     return decryptedResponse;
 }
\ No newline at end of file
@@ -0,0 +1,326 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createMockGateway, GATEWAY_PATH } from '../../mock/gateway.js';
+import { secureRequest } from './secureApi';
+import * as SecureKeyManager from '../utils/SecureKeyManager';
+import * as SessionKeyManager from '../utils/SessionKeyManager';
+import { getSetting } from '../utils/SecureStorage';
+import { getClockSkew } from '../utils/ClockSkew';
+import { resetGatewayState, newIdentity, registerUser } from '../test/registeredIdentity';
+import {
+    SessionLockedError,
+    GatewayRejectedError,
+    DecryptionError,
+    NetworkError,
+    RequestTimeoutError,
+    RequestCancelledError,
+    ServerKeyMismatchError,
+    ClockSkewError,
+    ProtocolVersionError,
+} from '../utils/errors';
+
+const {
+    SERVER_KEY_FINGERPRINT_SETTING,
+    SERVER_KEY_MISMATCH_SETTING,
+    SERVER_KEY_MISMATCH_EVENT,
+    SERVER_SIGNING_KEY_SETTING,
+    SERVER_PROTOCOL_VERSION_SETTING,
+} = SecureKeyManager;
+
+const DEMO_ACCOUNT = '0123456789';
+
+let gateway;
+// Every gateway call as { body, response } in order, for inspecting the wire
+let exchanges;
+
+function useGateway(target, { intercept } = {}) {
+    gateway = target;
+    globalThis.fetch = async (url, init = {}) => {
+        const body = init.body ? JSON.parse(init.body) : null;
+        const response = intercept ? await intercept(url, init, body) : await target.fetch(url, init);
+        if (String(url).endsWith(GATEWAY_PATH)) {
+            exchanges.push({ body, response: await response.clone().json() });
+        }
+        return response;
+    };
+}
+
+beforeEach(async () => {
+    exchanges = [];
+    await resetGatewayState();
+    useGateway(createMockGateway());
+});
+
+afterEach(() => {
+    delete globalThis.fetch;
+});
+
+describe('secureRequest against the mock gateway', () => {
+    it('registers a key, then serves the profile to that key', async () => {
+        const identity = await newIdentity();
+        const registered = await registerUser(identity);
+        expect(registered.user.username).toMatch(/^user\d+$/);
+        expect(registered.accounts).toHaveLength(1);
+
+        const profile = await secureRequest({ target: 'get_profile', payload: {}, identity });
+        expect(profile.user).toEqual(registered.user);
+        expect(profile.accounts[0].account_number).toBe(registered.accounts[0].account_number);
+    });
+
+    it('pins the server key fingerprint and signing key on first use', async () => {
+        await registerUser(await newIdentity());
+
+        expect(await getSetting(SERVER_KEY_FINGERPRINT_SETTING)).toBe(await gateway.serverKeyFingerprint());
+        expect(await getSetting(SERVER_SIGNING_KEY_SETTING)).toMatch(/^-----BEGIN PUBLIC KEY-----/);
+    });
+
+    it('reuses one session key with increasing counters', async () => {
+        const identity = await newIdentity();
+        await registerUser(identity);
+        await secureRequest({ target: 'get_profile', payload: {}, identity });
+
+        const [first, second] = exchanges.map(e => e.body);
+        expect(first.protocol_version).toBe(2);
+        expect(second.ephemeral_pubkey).toBe(first.ephemeral_pubkey);
+        expect(second.counter).toBe(first.counter + 1);
+    });
+
+    it('looks up a recipient and transfers between accounts', async () => {
+        const identity = await newIdentity();
+        const { accounts: [account] } = await registerUser(identity);
+
+        const recipient = await secureRequest({ target: 'validate_account', payload: { account_number: DEMO_ACCOUNT }, identity });
+        expect(recipient.user).toMatchObject({ first_name: 'Ada', last_name: 'Obi' });
+
+        const result = await secureRequest({
+            target: 'transfer',
+            payload: { from_account: account.account_number, to_account: DEMO_ACCOUNT, amount: '1500.50', description: 'Rent' },
+            identity,
+        });
+        expect(result.success).toBe(true);
+        expect(result.accounts[0].available_balance).toBe('498499.50');
+        expect(exchanges.at(-1).body).not.toHaveProperty('transaction_data');
+    });
+
+    it('never applies a transfer twice for the same idempotency key', async () => {
+        const identity = await newIdentity();
+        const { accounts: [account] } = await registerUser(identity);
+        const transfer = () => secureRequest({
+            target: 'transfer',
+            payload: { from_account: account.account_number, to_account: DEMO_ACCOUNT, amount: '100' },
+            identity,
+            idempotencyKey: 'transfer-1',
+        });
+
+        const first = await transfer();
+        const second = await transfer();
+        expect(second.debit_transaction_id).toBe(first.debit_transaction_id);
+
+        const profile = await secureRequest({ target: 'get_profile', payload: {}, identity });
+        expect(profile.accounts[0].available_balance).toBe('499900.00');
+        expect(profile.transactions.filter(t => t.transaction_type === 'Debit')).toHaveLength(1);
+    });
+
+    it('surfaces verified rejections as GatewayRejectedError with the server code', async () => {
+        const identity = await newIdentity();
+        const { accounts: [account] } = await registerUser(identity);
+
+        const error = await secureRequest({
+            target: 'transfer',
+            payload: { from_account: account.account_number, to_account: DEMO_ACCOUNT, amount: '99999999' },
+            identity,
+        }).catch(e => e);
+        expect(error).toBeInstanceOf(GatewayRejectedError);
+        expect(error).toMatchObject({ status: 400, code: 'insufficient_funds', message: 'Insufficient funds.' });
+    });
+
+    it('starts a new key exchange after a rejection', async () => {
+        const identity = await newIdentity();
+        await registerUser(identity);
+        await secureRequest({ target: 'validate_account', payload: { account_number: '0000000000' }, identity }).catch(() => {});
+        await secureRequest({ target: 'get_profile', payload: {}, identity });
+
+        const [, rejected, next] = exchanges.map(e => e.body);
+        expect(next.ephemeral_pubkey).not.toBe(rejected.ephemeral_pubkey);
+    });
+
+    it('rejects requests from a key the bank does not know', async () => {
+        const error = await secureRequest({ target: 'get_profile', payload: {}, identity: await newIdentity() }).catch(e => e);
+        expect(error).toBeInstanceOf(GatewayRejectedError);
+        expect(error).toMatchObject({ status: 401, code: 'unknown_key' });
+    });
+
+    it('refuses to sign without an unlocked identity', async () => {
+        await expect(secureRequest({ target: 'get_profile', payload: {}, identity: null }))
+            .rejects.toBeInstanceOf(SessionLockedError);
+        expect(exchanges).toHaveLength(0);
+    });
+});
+
+describe('response integrity', () => {
+    it('rejects a response replayed from an earlier request', async () => {
+        const identity = await newIdentity();
+        await registerUser(identity);
+        const captured = exchanges[0].response;
+        const real = gateway;
+        useGateway(real, {
+            intercept: (url, init) => (String(url).endsWith(GATEWAY_PATH)
+                ? Response.json(captured)
+                : real.fetch(url, init)),
+        });
+
+        const error = await secureRequest({ target: 'get_profile', payload: {}, identity }).catch(e => e);
+        expect(error).toBeInstanceOf(DecryptionError);
+        expect(error.reason).toBe('response');
+    });
+
+    it('blocks a server whose key does not match the pin', async () => {
+        const identity = await newIdentity();
+        await registerUser(identity);
+        const pinned = await getSetting(SERVER_KEY_FINGERPRINT_SETTING);
+        const events = [];
+        const onMismatch = (event) => events.push(event.detail);
+        window.addEventListener(SERVER_KEY_MISMATCH_EVENT, onMismatch);
+
+        useGateway(createMockGateway({ seed: 'impostor' }));
+        SessionKeyManager.resetSession({ refetchServerKey: true });
+        const error = await secureRequest({ target: 'get_profile', payload: {}, identity }).catch(e => e);
+        window.removeEventListener(SERVER_KEY_MISMATCH_EVENT, onMismatch);
+
+        expect(error).toBeInstanceOf(ServerKeyMismatchError);
+        expect(error.expected).toBe(pinned);
+        expect(await getSetting(SERVER_KEY_MISMATCH_SETTING)).toMatchObject({ expected: pinned, received: error.received });
+        expect(events).toHaveLength(1);
+        expect(exchanges).toHaveLength(1);
+    });
+
+    it('refuses a protocol downgrade from the pinned server', async () => {
+        const identity = await newIdentity();
+        await registerUser(identity);
+        expect(await getSetting(SERVER_PROTOCOL_VERSION_SETTING)).toBe(2);
+
+        // Strip the version list, which would otherwise mean a version 1 gateway
+        const real = gateway;
+        useGateway(real, {
+            intercept: async (url, init) => {
+                const response = await real.fetch(url, init);
+                if (String(url).endsWith(GATEWAY_PATH)) return response;
+                const { protocol_versions: _, ...document } = await response.json();
+                return Response.json(document);
+            },
+        });
+        SessionKeyManager.resetSession({ refetchServerKey: true });
+        exchanges = [];
+
+        const error = await secureRequest({ target: 'get_profile', payload: {}, identity }).catch(e => e);
+        expect(error).toBeInstanceOf(ProtocolVersionError);
+        expect(error.minimum).toBe(2);
+        expect(exchanges).toHaveLength(0);
+    });
+
+    it('refuses to sign while the device clock is out of sync', async () => {
+        const identity = await newIdentity();
+        // The server's clock is an hour behind this machine's
+        useGateway(createMockGateway({ clockOffsetSeconds: -3600 }));
+
+        // The first request bounces, and its signed rejection reports the server time
+        await expect(registerUser(identity)).rejects.toBeInstanceOf(ClockSkewError);
+        expect(exchanges).toHaveLength(1);
+        expect(getClockSkew()).toBeCloseTo(3600, -1);
+
+        await expect(registerUser(identity)).rejects.toBeInstanceOf(ClockSkewError);
+        expect(exchanges).toHaveLength(1);
+    });
+
+    it('ignores a server time outside the signed response', async () => {
+        const identity = await newIdentity();
+        const real = gateway;
+        useGateway(real, {
+            intercept: async (url, init) => {
+                const response = await real.fetch(url, init);
+                const body = await response.json();
+                return Response.json({ ...body, server_time: Math.floor(Date.now() / 1000) - 3600 }, { status: response.status });
+            },
+        });
+
+        await registerUser(identity);
+        await secureRequest({ target: 'get_profile', payload: {}, identity });
+        expect(Math.abs(getClockSkew())).toBeLessThan(5);
+    });
+});
+
+describe('timeouts and retries', () => {
+    // Lets `failures` gateway calls fail at the network level, then passes through
+    function flakyGateway(failures) {
+        const real = gateway;
+        const attempts = { count: 0 };
+        useGateway(real, {
+            intercept: (url, init) => {
+                if (String(url).endsWith(GATEWAY_PATH) && attempts.count++ < failures) {
+                    throw new TypeError('Failed to fetch');
+                }
+                return real.fetch(url, init);
+            },
+        });
+        return attempts;
+    }
+
+    // A gateway that accepts the connection and never answers
+    function hangingGateway() {
+        const real = gateway;
+        useGateway(real, {
+            intercept: (url, init) => (String(url).endsWith(GATEWAY_PATH)
+                ? new Promise((_, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason)))
+                : real.fetch(url, init)),
+        });
+    }
+
+    it('retries read-only targets after network failures', async () => {
+        const identity = await newIdentity();
+        await registerUser(identity);
+        const attempts = flakyGateway(2);
+
+        const profile = await secureRequest({ target: 'get_profile', payload: {}, identity });
+        expect(profile.user).toBeTruthy();
+        expect(attempts.count).toBe(3);
+    });
+
+    it('does not retry transfers', async () => {
+        const identity = await newIdentity();
+        const { accounts: [account] } = await registerUser(identity);
+        const attempts = flakyGateway(1);
+
+        await expect(secureRequest({
+            target: 'transfer',
+            payload: { from_account: account.account_number, to_account: DEMO_ACCOUNT, amount: '10' },
+            identity,
+        })).rejects.toBeInstanceOf(NetworkError);
+        expect(attempts.count).toBe(1);
+    });
+
+    it('times out a gateway that never answers', async () => {
+        const identity = await newIdentity();
+        await registerUser(identity);
+        hangingGateway();
+
+        const error = await secureRequest({
+            target: 'transfer',
+            payload: { to_account: DEMO_ACCOUNT, amount: '10' },
+            identity,
+            timeoutMs: 50,
+        }).catch(e => e);
+        expect(error).toBeInstanceOf(RequestTimeoutError);
+        expect(error.timeoutMs).toBe(50);
+    });
+
+    it('stops when the caller aborts', async () => {
+        const identity = await newIdentity();
+        await registerUser(identity);
+        hangingGateway();
+        const controller = new AbortController();
+
+        const request = secureRequest({ target: 'get_profile', payload: {}, identity, signal: controller.signal });
+        setTimeout(() => controller.abort(), 20);
+        await expect(request).rejects.toBeInstanceOf(RequestCancelledError);
+    });
+});
@@ -0,0 +1,39 @@
+import { secureRequest } from './secureApi';
+import { signStandingOrder } from '../utils/StandingOrder';
+
+// Scheduled and recurring transfers. Creating or editing an order sends a
+// schedule signed with the identity key (see StandingOrder.signStandingOrder);
+// pausing, resuming and cancelling only need the signed request itself.
+
+// Resolves to [{ order_id, revision, from_account, to_account, recipient_name,
+// amount, description, frequency, start_date, end_date, status,
+// next_run_date, last_run, created_at }]
+export async function listStandingOrders(identity, { signal } = {}) {
+    const response = await secureRequest({ target: 'list_standing_orders', payload: {}, identity, signal });
+    return response?.standing_orders || [];
+}
+
+// `order` takes the fields of signStandingOrder; resolves to the updated list.
+// Submitting the same order again after a failure must reuse its `orderId`
+// and `idempotencyKey`, or the bank may set up a second order.
+export async function authorizeStandingOrder(identity, order, { signal, idempotencyKey } = {}) {
+    const { schedule, signature } = await signStandingOrder(identity, order);
+    const response = await secureRequest({
+        target: 'authorize_standing_order',
+        payload: { schedule, schedule_signature: signature },
+        identity,
+        signal,
+        idempotencyKey,
+    });
+    return response?.standing_orders || [];
+}
+
+// `status` is 'active', 'paused' or 'cancelled'; resolves to the updated list
+export async function setStandingOrderStatus(identity, orderId, status) {
+    const response = await secureRequest({
+        target: 'set_standing_order_status',
+        payload: { order_id: orderId, status },
+        identity,
+    });
+    return response?.standing_orders || [];
+}
@@ -0,0 +1,133 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createMockGateway } from '../../mock/gateway.js';
+import { secureRequest } from './secureApi';
+import { listStandingOrders, authorizeStandingOrder, setStandingOrderStatus } from './standingOrderApi';
+import { signStandingOrder } from '../utils/StandingOrder';
+import { GatewayRejectedError } from '../utils/errors';
+import { resetGatewayState, newIdentity, registerUser } from '../test/registeredIdentity';
+
+const ADA = '0123456789';
+
+let gateway;
+let identity;
+let account;
+
+// Far enough ahead to always be a future date
+const monthlyRent = () => ({
+    fromAccount: account.account_number,
+    toAccount: ADA,
+    amount: '1000',
+    description: 'Rent',
+    frequency: 'monthly',
+    startDate: '2099-01-31',
+    endDate: '2099-04-30',
+});
+
+const balance = async () => (await secureRequest({ target: 'get_profile', payload: {}, identity })).accounts[0].available_balance;
+
+beforeEach(async () => {
+    await resetGatewayState();
+    gateway = createMockGateway();
+    globalThis.fetch = gateway.fetch;
+
+    identity = await newIdentity();
+    ({ accounts: [account] } = await registerUser(identity));
+});
+
+afterEach(() => {
+    delete globalThis.fetch;
+});
+
+describe('standing orders', () => {
+    it('authorizes a signed schedule and lists it with its next payment', async () => {
+        const [order] = await authorizeStandingOrder(identity, monthlyRent());
+
+        expect(order).toMatchObject({
+            revision: 1,
+            amount: '1000.00',
+            recipient_name: 'Ada Obi',
+            status: 'active',
+            next_run_date: '2099-01-31',
+            authorized_by: identity.keyId,
+        });
+        expect(await listStandingOrders(identity)).toEqual([order]);
+    });
+
+    it('pays each due date, keeping month-end dates inside short months', async () => {
+        await authorizeStandingOrder(identity, monthlyRent());
+        gateway.ledger.runStandingOrders('2099-03-31');
+
+        const [order] = await listStandingOrders(identity);
+        expect(order.next_run_date).toBe('2099-04-30');
+        expect(order.last_run).toMatchObject({ date: '2099-03-31', success: true });
+        expect(await balance()).toBe('497000.00');
+
+        gateway.ledger.runStandingOrders('2099-12-31');
+        const [finished] = await listStandingOrders(identity);
+        expect(finished).toMatchObject({ status: 'completed', next_run_date: null });
+        expect(await balance()).toBe('496000.00');
+    });
+
+    it('sets up one order when the same confirmation is submitted twice', async () => {
+        const order = { ...monthlyRent(), orderId: crypto.randomUUID() };
+        const idempotencyKey = crypto.randomUUID();
+
+        const [first] = await authorizeStandingOrder(identity, order, { idempotencyKey });
+        const orders = await authorizeStandingOrder(identity, order, { idempotencyKey });
+        expect(orders).toEqual([first]);
+
+        await expect(authorizeStandingOrder(identity, { ...order, amount: '2000' }, { idempotencyKey }))
+            .rejects.toMatchObject({ status: 409, code: 'idempotency_key_reused' });
+    });
+
+    it('refuses a schedule changed after it was signed', async () => {
+        const { schedule, signature } = await signStandingOrder(identity, monthlyRent());
+        const error = await secureRequest({
+            target: 'authorize_standing_order',
+            payload: { schedule: { ...schedule, amount: '9000.00' }, schedule_signature: signature },
+            identity,
+        }).catch(e => e);
+
+        expect(error).toBeInstanceOf(GatewayRejectedError);
+        expect(error.code).toBe('invalid_authorization');
+        expect(await listStandingOrders(identity)).toEqual([]);
+    });
+
+    it('replaces an order with a newer signed revision only', async () => {
+        const [order] = await authorizeStandingOrder(identity, monthlyRent());
+        const edit = { ...monthlyRent(), orderId: order.order_id, amount: '1250.50', frequency: 'weekly', startDate: '2099-02-01' };
+
+        const [edited] = await authorizeStandingOrder(identity, { ...edit, revision: 2 });
+        expect(edited).toMatchObject({ order_id: order.order_id, revision: 2, amount: '1250.50', frequency: 'weekly', next_run_date: '2099-02-01' });
+
+        await expect(authorizeStandingOrder(identity, { ...edit, revision: 2 }))
+            .rejects.toMatchObject({ status: 409, code: 'stale_revision' });
+    });
+
+    it('skips payments while paused and stops for good when cancelled', async () => {
+        const [order] = await authorizeStandingOrder(identity, monthlyRent());
+
+        const [paused] = await setStandingOrderStatus(identity, order.order_id, 'paused');
+        expect(paused.status).toBe('paused');
+        gateway.ledger.runStandingOrders('2099-02-28');
+        expect(await balance()).toBe('500000.00');
+
+        const [cancelled] = await setStandingOrderStatus(identity, order.order_id, 'cancelled');
+        expect(cancelled).toMatchObject({ status: 'cancelled', next_run_date: null });
+        await expect(setStandingOrderStatus(identity, order.order_id, 'active'))
+            .rejects.toMatchObject({ code: 'standing_order_closed' });
+        await expect(authorizeStandingOrder(identity, { ...monthlyRent(), orderId: order.order_id, revision: 2 }))
+            .rejects.toMatchObject({ code: 'standing_order_closed' });
+    });
+
+    it('records a payment that fails for lack of funds and carries on', async () => {
+        await authorizeStandingOrder(identity, { ...monthlyRent(), amount: '400000' });
+        gateway.ledger.runStandingOrders('2099-02-28');
+
+        const [order] = await listStandingOrders(identity);
+        expect(order.last_run).toMatchObject({ date: '2099-02-28', success: false, error: 'Insufficient funds.' });
+        expect(order.next_run_date).toBe('2099-03-31');
+        expect(await balance()).toBe('100000.00');
+    });
+});
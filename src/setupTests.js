@@ -0,0 +1,22 @@
+import 'fake-indexeddb/auto';
+
+// Crypto and storage tests run in the node environment so they get Node's
+// WebCrypto. The app reaches crypto and events through `window`, and the
+// storage migrations clear legacy localStorage keys, so provide both.
+if (typeof window === 'undefined') {
+    const events = new EventTarget();
+    globalThis.window = globalThis;
+    globalThis.addEventListener = events.addEventListener.bind(events);
+    globalThis.removeEventListener = events.removeEventListener.bind(events);
+    globalThis.dispatchEvent = events.dispatchEvent.bind(events);
+}
+
+if (typeof localStorage === 'undefined') {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear(),
+    };
+}
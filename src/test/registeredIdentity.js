@@ -0,0 +1,44 @@
+import { secureRequest } from '../services/secureApi';
+import * as SecureKeyManager from '../utils/SecureKeyManager';
+import * as SessionKeyManager from '../utils/SessionKeyManager';
+import { deleteSetting } from '../utils/SecureStorage';
+import { recordServerTime } from '../utils/ClockSkew';
+
+// --- Shared fixture for tests that go through secureRequest ---
+// Each test gets a fresh mock gateway, so everything the client pinned or
+// cached from the previous one has to go first.
+
+export async function resetGatewayState() {
+    SessionKeyManager.resetSession({ refetchServerKey: true });
+    recordServerTime(Math.floor(Date.now() / 1000), Date.now());
+    await deleteSetting(SecureKeyManager.SERVER_KEY_FINGERPRINT_SETTING);
+    await deleteSetting(SecureKeyManager.SERVER_KEY_MISMATCH_SETTING);
+    await deleteSetting(SecureKeyManager.SERVER_SIGNING_KEY_SETTING);
+    await deleteSetting(SecureKeyManager.SERVER_PROTOCOL_VERSION_SETTING);
+}
+
+// A signing keypair shaped like the session's identity
+export async function newIdentity() {
+    const identity = await SecureKeyManager.generateSigningKeyPair();
+    identity.keyId = await SecureKeyManager.computeKeyId(await crypto.subtle.exportKey('spki', identity.publicKey));
+    return identity;
+}
+
+let registrations = 0;
+
+// Registers `identity` with the current gateway under a unique username and
+// returns the register response ({ user, accounts, ... })
+export async function registerUser(identity) {
+    registrations += 1;
+    return await secureRequest({
+        target: 'register',
+        payload: {
+            username: `user${registrations}`,
+            email: `user${registrations}@example.com`,
+            first_name: 'Test',
+            last_name: `User ${registrations}`,
+            device_label: 'Test device',
+        },
+        identity,
+    });
+}
@@ -0,0 +1,29 @@
+import { ClockSkewError } from './errors';
+
+// --- Clock skew ---
+// Signed requests carry a timestamp the middleware checks against its own
+// clock. We keep the offset reported by the server and refuse to sign when the
+// local clock is too far off, rather than sending requests that will bounce.
+
+export const MAX_CLOCK_SKEW_SECONDS = 300;
+
+let skewSeconds = null;
+
+// `serverTime` is in Unix seconds. The local reference is the midpoint of the
+// round trip, which halves the error introduced by network latency.
+export function recordServerTime(serverTime, requestStartedAt, responseReceivedAt = Date.now()) {
+    if (typeof serverTime !== 'number' || !Number.isFinite(serverTime)) return;
+    const localSeconds = (requestStartedAt + responseReceivedAt) / 2000;
+    skewSeconds = Math.round(localSeconds - serverTime);
+}
+
+// Positive when the local clock is ahead of the server; null until reported
+export function getClockSkew() {
+    return skewSeconds;
+}
+
+export function assertClockInSync() {
+    if (skewSeconds !== null && Math.abs(skewSeconds) > MAX_CLOCK_SKEW_SECONDS) {
+        throw new ClockSkewError(undefined, { skewSeconds });
+    }
+}
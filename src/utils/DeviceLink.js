@@ -0,0 +1,97 @@
+import { toBase64, fromBase64, canonicalizeJson, signTransaction, computeKeyId } from './SecureKeyManager';
+import { ValidationError } from './errors';
+
+// A new device shows a link code holding its public key. An already-enrolled
+// device pastes the code, checks the key ID matches, and signs an
+// authorization for that key with its own identity key.
+
+export const LINK_CODE_FORMAT = 'securecipher-device-link';
+export const LINK_CODE_VERSION = 1;
+const MAX_LABEL_LENGTH = 64;
+
+// --- Device Labels ---
+export function defaultDeviceLabel() {
+    const ua = navigator.userAgent || '';
+    const browser = /Edg\//.test(ua) ? 'Edge'
+        : /Firefox\//.test(ua) ? 'Firefox'
+            : /Chrome\//.test(ua) ? 'Chrome'
+                : /Safari\//.test(ua) ? 'Safari'
+                    : 'Browser';
+    const os = /Android/.test(ua) ? 'Android'
+        : /iPhone|iPad/.test(ua) ? 'iOS'
+            : /Windows/.test(ua) ? 'Windows'
+                : /Mac OS X/.test(ua) ? 'macOS'
+                    : /Linux/.test(ua) ? 'Linux'
+                        : 'unknown OS';
+    return `${browser} on ${os}`;
+}
+
+export function normalizeDeviceLabel(label) {
+    const cleaned = String(label || '').replace(/\s+/g, ' ').trim().slice(0, MAX_LABEL_LENGTH);
+    return cleaned || defaultDeviceLabel();
+}
+
+// --- Link Codes ---
+export async function createLinkCode(publicKey, label) {
+    const spki = await window.crypto.subtle.exportKey('spki', publicKey);
+    const code = {
+        format: LINK_CODE_FORMAT,
+        version: LINK_CODE_VERSION,
+        public_key: toBase64(spki),
+        label: normalizeDeviceLabel(label),
+    };
+    return {
+        code: toBase64(new TextEncoder().encode(canonicalizeJson(code))),
+        keyId: await computeKeyId(spki),
+    };
+}
+
+// Returns { publicKey (base64 SPKI), keyId, label }; throws on anything malformed
+export async function parseLinkCode(code) {
+    let parsed;
+    try {
+        parsed = JSON.parse(new TextDecoder().decode(fromBase64(String(code).replace(/\s+/g, ''))));
+    } catch {
+        throw new ValidationError('This is not a valid device link code.', { field: 'code' });
+    }
+    if (parsed?.format !== LINK_CODE_FORMAT) {
+        throw new ValidationError('This is not a valid device link code.', { field: 'code' });
+    }
+    if (parsed.version !== LINK_CODE_VERSION) {
+        throw new ValidationError(`Unsupported link code version: ${parsed.version}`, { field: 'code' });
+    }
+    let spki;
+    try {
+        spki = fromBase64(parsed.public_key);
+        // Reject anything that is not a P-384 signing key before it reaches the server
+        await window.crypto.subtle.importKey(
+            'spki',
+            spki,
+            { name: 'ECDSA', namedCurve: 'P-384' },
+            true,
+            ['verify']
+        );
+    } catch {
+        throw new ValidationError('The link code does not contain a valid device key.', { field: 'code' });
+    }
+    return {
+        publicKey: parsed.public_key,
+        keyId: await computeKeyId(spki),
+        label: normalizeDeviceLabel(parsed.label),
+    };
+}
+
+// --- Authorization ---
+// `identity` is the enrolled device's unlocked session identity
+export async function signDeviceAuthorization(identity, device) {
+    const authorization = {
+        type: 'device_authorization',
+        device_public_key: device.publicKey,
+        device_key_id: device.keyId,
+        device_label: device.label,
+        authorized_by: identity.keyId,
+        issued_at: new Date().toISOString(),
+    };
+    const signature = await signTransaction(authorization, identity.privateKey);
+    return { authorization, signature };
+}
@@ -0,0 +1,156 @@
+import {
+    toBase64,
+    fromBase64,
+    computeKeyId,
+    deriveEncryptionKey,
+} from './SecureKeyManager';
+import { ValidationError, DecryptionError } from './errors';
+
+// --- Encrypted key backup file ---
+// The backup carries the identity private key encrypted under a passphrase
+// that is separate from the PIN, plus everything needed to decrypt it again:
+// public key, salt, IV and KDF parameters. The header fields are bound to the
+// ciphertext as AES-GCM associated data, so none of them can be swapped.
+
+export const BACKUP_FORMAT = 'securecipher-key-backup';
+export const BACKUP_VERSION = 1;
+export const MIN_PASSPHRASE_LENGTH = 12;
+
+const BACKUP_KDF_ITERATIONS = 600000;
+// Bounds for files we import: weaker than the PIN KDF is refused, and an
+// absurd iteration count would freeze the tab
+const MIN_KDF_ITERATIONS = 100000;
+const MAX_KDF_ITERATIONS = 10000000;
+
+const EC_PARAMS = { name: 'ECDSA', namedCurve: 'P-384' };
+
+function backupContext(keyId) {
+    return new TextEncoder().encode(`${BACKUP_FORMAT}/${BACKUP_VERSION}/${keyId}`);
+}
+
+export function validatePassphrase(passphrase, confirmPassphrase) {
+    const errors = {};
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        errors.passphrase = `Backup passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+    }
+    if (passphrase !== confirmPassphrase) errors.confirm_passphrase = 'Passphrases do not match';
+    return errors;
+}
+
+export async function createKeyBackup({ privateKey, publicKey, createdAt }, passphrase) {
+    const spki = await window.crypto.subtle.exportKey('spki', publicKey);
+    const pkcs8 = await window.crypto.subtle.exportKey('pkcs8', privateKey);
+    const keyId = await computeKeyId(spki);
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveEncryptionKey(passphrase, salt, BACKUP_KDF_ITERATIONS);
+    const encrypted = await window.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: backupContext(keyId) },
+        key,
+        pkcs8
+    );
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        key_id: keyId,
+        created_at: createdAt || null,
+        exported_at: new Date().toISOString(),
+        algorithm: EC_PARAMS,
+        public_key: toBase64(spki),
+        kdf: {
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: BACKUP_KDF_ITERATIONS,
+            salt: toBase64(salt),
+        },
+        cipher: {
+            name: 'AES-GCM',
+            iv: toBase64(iv),
+        },
+        encrypted_private_key: toBase64(encrypted),
+    };
+}
+
+function decodeField(value, name) {
+    if (typeof value !== 'string' || !value) {
+        throw new ValidationError(`Backup file is missing ${name}.`, { field: 'backup' });
+    }
+    try {
+        return fromBase64(value);
+    } catch {
+        throw new ValidationError(`Backup file has an invalid ${name}.`, { field: 'backup' });
+    }
+}
+
+// Check the structure of a parsed backup before any crypto is attempted
+export function parseKeyBackup(text) {
+    let backup;
+    try {
+        backup = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch {
+        throw new ValidationError('This file is not a valid key backup.', { field: 'backup' });
+    }
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new ValidationError('This file is not a Secure Cipher key backup.', { field: 'backup' });
+    }
+    if (backup.version !== BACKUP_VERSION) {
+        throw new ValidationError(`Unsupported backup version ${backup.version}. Please update the app.`, { field: 'backup' });
+    }
+    const { kdf, cipher, algorithm } = backup;
+    if (algorithm?.name !== EC_PARAMS.name || algorithm?.namedCurve !== EC_PARAMS.namedCurve) {
+        throw new ValidationError('Backup file contains an unsupported key type.', { field: 'backup' });
+    }
+    if (kdf?.name !== 'PBKDF2' || kdf?.hash !== 'SHA-256' || !Number.isInteger(kdf?.iterations)
+        || kdf.iterations < MIN_KDF_ITERATIONS || kdf.iterations > MAX_KDF_ITERATIONS) {
+        throw new ValidationError('Backup file has unsupported key derivation parameters.', { field: 'backup' });
+    }
+    if (cipher?.name !== 'AES-GCM') {
+        throw new ValidationError('Backup file uses an unsupported cipher.', { field: 'backup' });
+    }
+    if (typeof backup.key_id !== 'string' || !/^[0-9a-f]{64}$/.test(backup.key_id)) {
+        throw new ValidationError('Backup file has an invalid key ID.', { field: 'backup' });
+    }
+    return {
+        keyId: backup.key_id,
+        createdAt: backup.created_at || null,
+        iterations: kdf.iterations,
+        spki: decodeField(backup.public_key, 'public key'),
+        salt: decodeField(kdf.salt, 'salt'),
+        iv: decodeField(cipher.iv, 'IV'),
+        encrypted: decodeField(backup.encrypted_private_key, 'encrypted key'),
+    };
+}
+
+// Decrypt a backup and prove the keypair inside is whole before handing it back
+export async function restoreKeyBackup(text, passphrase) {
+    const { keyId, createdAt, iterations, spki, salt, iv, encrypted } = parseKeyBackup(text);
+
+    if (await computeKeyId(spki) !== keyId) {
+        throw new DecryptionError('Backup file is corrupted: the key ID does not match the public key.', { reason: 'backup' });
+    }
+
+    let pkcs8;
+    try {
+        const key = await deriveEncryptionKey(passphrase, salt, iterations);
+        pkcs8 = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv, additionalData: backupContext(keyId) },
+            key,
+            encrypted
+        );
+    } catch {
+        throw new DecryptionError('Incorrect backup passphrase, or the file has been modified.', { reason: 'backup' });
+    }
+
+    const privateKey = await window.crypto.subtle.importKey('pkcs8', pkcs8, EC_PARAMS, true, ['sign']);
+    const publicKey = await window.crypto.subtle.importKey('spki', spki, EC_PARAMS, true, ['verify']);
+
+    // The private key must actually belong to the public key in the file
+    const challenge = window.crypto.getRandomValues(new Uint8Array(32));
+    const signature = await window.crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, challenge);
+    const matches = await window.crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, publicKey, signature, challenge);
+    if (!matches) {
+        throw new DecryptionError('Backup file is corrupted: the private key does not match the public key.', { reason: 'backup' });
+    }
+
+    return { privateKey, publicKey, keyId, createdAt };
+}
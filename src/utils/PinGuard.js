@@ -0,0 +1,96 @@
+import { getSetting, saveSetting } from './SecureStorage';
+import { InvalidPinError, PinLockedError } from './errors';
+
+// --- Failed PIN attempt throttling ---
+// Every PIN check in the app goes through guardPinAttempt(). Failures are
+// counted in IndexedDB so reloading the page does not reset them. After
+// FREE_ATTEMPTS the wait between guesses doubles each time, and after
+// MAX_ATTEMPTS the key is locked until it is restored from a backup or the
+// user registers again.
+
+const ATTEMPTS_SETTING = 'pin-attempts';
+export const MAX_ATTEMPTS = 10;
+const FREE_ATTEMPTS = 3;
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+const EMPTY_STATE = { failures: 0, lockedUntil: 0, permanent: false };
+
+async function loadState() {
+    return { ...EMPTY_STATE, ...(await getSetting(ATTEMPTS_SETTING, EMPTY_STATE)) };
+}
+
+function backoffDelay(failures) {
+    if (failures < FREE_ATTEMPTS) return 0;
+    return Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+}
+
+function lockedError(state) {
+    if (state.permanent) {
+        return new PinLockedError(
+            'Too many incorrect PIN attempts. This key is locked. Restore it from a backup or register again.',
+            { permanent: true }
+        );
+    }
+    const seconds = Math.ceil((state.lockedUntil - Date.now()) / 1000);
+    return new PinLockedError(
+        `Too many incorrect PIN attempts. Try again in ${formatWait(seconds)}.`,
+        { retryAt: state.lockedUntil }
+    );
+}
+
+function formatWait(seconds) {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+export async function getPinStatus() {
+    const state = await loadState();
+    return {
+        failures: state.failures,
+        remainingAttempts: Math.max(MAX_ATTEMPTS - state.failures, 0),
+        lockedUntil: state.lockedUntil > Date.now() ? state.lockedUntil : 0,
+        permanent: state.permanent,
+    };
+}
+
+// Clear the counter, e.g. after the key has been restored or re-registered
+export async function resetPinAttempts() {
+    await saveSetting(ATTEMPTS_SETTING, EMPTY_STATE);
+}
+
+// Run `verify` (which must throw InvalidPinError on a wrong PIN) under the
+// attempt limits. Other errors pass through without counting as a guess.
+export async function guardPinAttempt(verify) {
+    const state = await loadState();
+    if (state.permanent || state.lockedUntil > Date.now()) {
+        throw lockedError(state);
+    }
+
+    let result;
+    try {
+        result = await verify();
+    } catch (err) {
+        if (!(err instanceof InvalidPinError)) throw err;
+
+        const failures = state.failures + 1;
+        const next = {
+            failures,
+            lockedUntil: Date.now() + backoffDelay(failures),
+            permanent: failures >= MAX_ATTEMPTS,
+        };
+        await saveSetting(ATTEMPTS_SETTING, next);
+        if (next.permanent) throw lockedError(next);
+
+        const remainingAttempts = MAX_ATTEMPTS - failures;
+        const wait = backoffDelay(failures);
+        const message = wait > 0
+            ? `Invalid PIN. ${remainingAttempts} attempts left. Wait ${formatWait(Math.ceil(wait / 1000))} before trying again.`
+            : `Invalid PIN. ${remainingAttempts} attempts left.`;
+        throw new InvalidPinError(message, { remainingAttempts });
+    }
+
+    if (state.failures > 0) await resetPinAttempts();
+    return result;
+}
@@ -0,0 +1,84 @@
+import { generateMnemonic, validateMnemonic, mnemonicToSeedWebcrypto } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english.js';
+import { p384 } from '@noble/curves/nist.js';
+import { toBase64 } from './SecureKeyManager';
+import { ValidationError } from './errors';
+
+// --- BIP39 recovery phrase ---
+// The identity signing key is derived deterministically from a 12-word BIP39
+// phrase, so the same P-384 keypair (and the same public key the bank has on
+// file) can be rebuilt on any device from the phrase alone:
+//
+//   phrase --BIP39 PBKDF2--> 64-byte seed --HKDF-SHA-384--> 72 bytes
+//          --reduce mod n (FIPS 186-5 A.2)--> P-384 private scalar
+
+const PHRASE_STRENGTH_BITS = 128;
+const IDENTITY_KDF_INFO = 'securecipher-identity-p384-v1';
+const EC_PARAMS = { name: 'ECDSA', namedCurve: 'P-384' };
+
+export function generateRecoveryPhrase() {
+    return generateMnemonic(wordlist, PHRASE_STRENGTH_BITS);
+}
+
+export function normalizeRecoveryPhrase(input) {
+    return input.trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+// Returns an error message, or null if the phrase is well formed and its checksum matches
+export function checkRecoveryPhrase(input) {
+    const words = normalizeRecoveryPhrase(input).split(' ').filter(Boolean);
+    if (words.length !== 12) {
+        return `Your recovery phrase has 12 words. You entered ${words.length}.`;
+    }
+    const unknown = words.filter(word => !wordlist.includes(word));
+    if (unknown.length > 0) {
+        return `Not in the recovery word list: ${unknown.join(', ')}. Check the spelling.`;
+    }
+    if (!validateMnemonic(words.join(' '), wordlist)) {
+        return 'This recovery phrase is not valid. Check the words and their order.';
+    }
+    return null;
+}
+
+function toBase64Url(bytes) {
+    return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export async function deriveIdentityFromPhrase(input) {
+    const phrase = normalizeRecoveryPhrase(input);
+    if (!validateMnemonic(phrase, wordlist)) {
+        throw new ValidationError('This recovery phrase is not valid. Check the words and their order.', { field: 'phrase' });
+    }
+
+    const seed = await mnemonicToSeedWebcrypto(phrase);
+    const seedKey = await window.crypto.subtle.importKey('raw', seed, { name: 'HKDF' }, false, ['deriveBits']);
+    const keyMaterial = await window.crypto.subtle.deriveBits(
+        {
+            name: 'HKDF',
+            hash: 'SHA-384',
+            salt: new Uint8Array(),
+            info: new TextEncoder().encode(IDENTITY_KDF_INFO),
+        },
+        seedKey,
+        p384.lengths.seed * 8
+    );
+
+    const secretKey = p384.utils.randomSecretKey(new Uint8Array(keyMaterial));
+    // Uncompressed point: 0x04 || x || y
+    const publicKey = p384.getPublicKey(secretKey, false);
+    const x = publicKey.slice(1, 49);
+    const y = publicKey.slice(49, 97);
+    const jwk = { kty: 'EC', crv: 'P-384', x: toBase64Url(x), y: toBase64Url(y) };
+
+    const privateKey = await window.crypto.subtle.importKey(
+        'jwk',
+        { ...jwk, d: toBase64Url(secretKey) },
+        EC_PARAMS,
+        true,
+        ['sign']
+    );
+    const publicCryptoKey = await window.crypto.subtle.importKey('jwk', jwk, EC_PARAMS, true, ['verify']);
+    secretKey.fill(0);
+
+    return { privateKey, publicKey: publicCryptoKey };
+}
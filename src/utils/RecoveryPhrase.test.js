@@ -0,0 +1,68 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+    generateRecoveryPhrase,
+    normalizeRecoveryPhrase,
+    checkRecoveryPhrase,
+    deriveIdentityFromPhrase,
+} from './RecoveryPhrase';
+import { computeKeyId, signTransaction, verifySignature } from './SecureKeyManager';
+import { ValidationError } from './errors';
+
+// BIP39 test vector: twelve words with a valid checksum
+const PHRASE = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+// Key ID of the identity derived from PHRASE. If this changes, phrases written
+// down under earlier releases no longer restore the key the bank has on file.
+const PHRASE_KEY_ID = '997893ef22936ede4d796aeff4bef818989fe187074012ee8d49d3d89315f07e';
+
+const keyIdOf = async ({ publicKey }) => computeKeyId(await crypto.subtle.exportKey('spki', publicKey));
+
+describe('checkRecoveryPhrase', () => {
+    it('accepts a well-formed phrase, ignoring case and spacing', () => {
+        expect(checkRecoveryPhrase(PHRASE)).toBeNull();
+        expect(checkRecoveryPhrase(`  ${PHRASE.toUpperCase().replace(/ /g, '\n ')} `)).toBeNull();
+        expect(checkRecoveryPhrase(generateRecoveryPhrase())).toBeNull();
+    });
+
+    it('rejects a phrase whose checksum does not match', () => {
+        expect(checkRecoveryPhrase(PHRASE.replace(/about$/, 'abandon')))
+            .toBe('This recovery phrase is not valid. Check the words and their order.');
+    });
+
+    it('names words outside the word list', () => {
+        expect(checkRecoveryPhrase(PHRASE.replace(/about$/, 'aboutt'))).toBe('Not in the recovery word list: aboutt. Check the spelling.');
+    });
+
+    it('counts the words entered', () => {
+        expect(checkRecoveryPhrase('abandon about')).toBe('Your recovery phrase has 12 words. You entered 2.');
+    });
+});
+
+describe('deriveIdentityFromPhrase', () => {
+    it('rebuilds the same P-384 keypair from the same phrase', async () => {
+        const first = await deriveIdentityFromPhrase(PHRASE);
+        const second = await deriveIdentityFromPhrase(` ${PHRASE.toUpperCase()} `);
+
+        expect(first.publicKey.algorithm).toMatchObject({ name: 'ECDSA', namedCurve: 'P-384' });
+        expect(await keyIdOf(first)).toBe(PHRASE_KEY_ID);
+        expect(await keyIdOf(second)).toBe(PHRASE_KEY_ID);
+        expect(await keyIdOf(await deriveIdentityFromPhrase(generateRecoveryPhrase()))).not.toBe(await keyIdOf(first));
+    });
+
+    it('derives a private key that belongs to the public key', async () => {
+        const { privateKey, publicKey } = await deriveIdentityFromPhrase(PHRASE);
+        const signature = await signTransaction({ amount: '10.00' }, privateKey);
+        expect(await verifySignature({ amount: '10.00' }, signature, publicKey)).toBe(true);
+    });
+
+    it('refuses a phrase with a bad checksum', async () => {
+        await expect(deriveIdentityFromPhrase(PHRASE.replace(/about$/, 'abandon')))
+            .rejects.toBeInstanceOf(ValidationError);
+    });
+});
+
+describe('normalizeRecoveryPhrase', () => {
+    it('lower-cases and collapses whitespace', () => {
+        expect(normalizeRecoveryPhrase('  Abandon\tABOUT\n')).toBe('abandon about');
+    });
+});
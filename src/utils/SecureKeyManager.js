@@ -28,13 +28,16 @@ export async function exportPublicKeyAsPem(publicKey) {
     const b64 = toBase64(spki);
     return `-----BEGIN PUBLIC KEY-----\n${b64}\n-----END PUBLIC KEY-----`;
 }
-export async function importServerPublicKey(pem) {
+export function pemToSpki(pem) {
     // Remove header/footer and whitespace
     const pemContents = pem
         .replace(/-----BEGIN PUBLIC KEY-----/, '')
         .replace(/-----END PUBLIC KEY-----/, '')
         .replace(/\s+/g, '');
-    const binaryDer = fromBase64(pemContents);
+    return fromBase64(pemContents);
+}
+export async function importServerPublicKey(pem) {
+    const binaryDer = pemToSpki(pem);
     return await window.crypto.subtle.importKey(
         'spki',
         binaryDer,
@@ -74,50 +77,80 @@ export async function deriveSessionKey(sharedSecret) {
     );
 }
 
-// --- Canonical JSON ---
-// Recursively sort all keys in an object for canonicalization
-function sortKeysRecursively(obj) {
-    if (Array.isArray(obj)) {
-        return obj.map(sortKeysRecursively);
-    } else if (obj !== null && typeof obj === 'object') {
-        const sorted = {};
-        Object.keys(obj).sort().forEach(key => {
-            sorted[key] = sortKeysRecursively(obj[key]);
-        });
-        return sorted;
+// --- Protocol Versions ---
+// 1: legacy gateways; one key from an empty-salt HKDF, no associated data.
+// 2: separate request/response keys bound to the exchange, headers as AAD.
+// Gateways advertise what they accept in `protocol_versions` on the public
+// key endpoint; a gateway that says nothing is treated as version 1.
+// `minimum` is the highest version the pinned server has offered before, so
+// a stripped or shortened list cannot downgrade the session.
+export const PROTOCOL_VERSION = 2;
+export const SUPPORTED_PROTOCOL_VERSIONS = [2, 1];
+
+export function negotiateProtocolVersion(advertised, minimum = 1) {
+    const offered = Array.isArray(advertised) && advertised.length > 0 ? advertised : [1];
+    const version = SUPPORTED_PROTOCOL_VERSIONS.find(v => offered.includes(v));
+    if (!version) {
+        throw new ProtocolVersionError(undefined, { advertised });
+    }
+    if (version < minimum) {
+        throw new ProtocolVersionError(
+            'The bank server offered an older, weaker protocol than before. Check your connection and try again.',
+            { advertised, minimum }
+        );
     }
-    return obj;
+    return version;
 }
 
-export function canonicalizeJson(obj) {
-    if (obj === null || typeof obj !== 'object') {
-        return JSON.stringify(obj);
+// Version 2 key schedule. The salt binds the keys to the pinned server key and
+// the info string to the protocol version, the direction of travel and this
+// exchange's ephemeral public key.
+export async function deriveSessionKeys(sharedSecret, { serverPublicKey, ephemeralPubkey, version = PROTOCOL_VERSION }) {
+    if (version === 1) {
+        const sessionKey = await deriveSessionKey(sharedSecret);
+        return { requestKey: sessionKey, responseKey: sessionKey };
     }
-    if (Array.isArray(obj)) {
-        return `[${obj.map(canonicalizeJson).join(',')}]`;
-    }
-    const keys = Object.keys(obj).sort();
-    const pairs = keys.map(k => `"${k}":${canonicalizeJson(obj[k])}`);
-    return `{${pairs.join(',')}}`;
+    const keyMaterial = await window.crypto.subtle.importKey(
+        'raw',
+        sharedSecret,
+        { name: 'HKDF' },
+        false,
+        ['deriveKey']
+    );
+    const serverSpki = await window.crypto.subtle.exportKey('spki', serverPublicKey);
+    const salt = await window.crypto.subtle.digest('SHA-384', serverSpki);
+    const derive = (direction) => window.crypto.subtle.deriveKey(
+        {
+            name: 'HKDF',
+            hash: 'SHA-384',
+            salt,
+            info: new TextEncoder().encode(`secure-cipher/v${version}/${direction}/${ephemeralPubkey}`)
+        },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+    return { requestKey: await derive('request'), responseKey: await derive('response') };
 }
 
+// Associated data for a version 2 message: the cleartext envelope headers plus
+// the direction, so a ciphertext cannot be moved to another exchange, counter
+// or direction. Version 1 messages carry none.
+export function envelopeAad(headers, direction) {
+    if (headers.protocol_version === 1) return undefined;
+    return new TextEncoder().encode(canonicalizeJson({ ...headers, direction }));
+}
 
-// --- Signing ---
-export async function signTransaction(payload, privateKey) {
-    console.log('signTransaction received payload:', JSON.stringify(payload, null, 2));
-    if (payload && payload.transaction_data && Object.keys(payload.transaction_data).length === 0) {
-        console.warn('signTransaction: transaction_data is EMPTY!');
-    }
-    const canonicalJson = canonicalizeJson(payload);
-    console.log('Signing data (canonical JSON):', canonicalJson);
+// --- Canonical JSON ---
+// RFC 8785; lives in its own module so the mock gateway can share it
+import { canonicalizeJson } from './canonicalJson';
+export { canonicalizeJson };
 
-    const data = new TextEncoder().encode(canonicalJson);
-    console.log('Signing data (UTF-8 bytes):', Array.from(data));
 
-    const hashBuffer = await window.crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    console.log('data hash (SHA-256):', hashHex);
+// --- Signing ---
+export async function signTransaction(payload, privateKey) {
+    const data = new TextEncoder().encode(canonicalizeJson(payload));
 
     // Sign the data using ECDSA with SHA-256
     const signature = await window.crypto.subtle.sign(
@@ -125,18 +158,33 @@ export async function signTransaction(payload, privateKey) {
         privateKey,
         data
     );
-    const signatureBase64 = toBase64(signature);
-    console.log('Signature (base64):', signatureBase64);
+    return toBase64(signature);
+}
 
-    return signatureBase64;
+// Verify a base64 ECDSA P-384/SHA-256 signature over the canonical JSON of `payload`
+export async function verifySignature(payload, signatureBase64, publicKey) {
+    const data = new TextEncoder().encode(canonicalizeJson(payload));
+    let signature;
+    try {
+        signature = fromBase64(signatureBase64);
+    } catch {
+        return false;
+    }
+    return await window.crypto.subtle.verify(
+        { name: 'ECDSA', hash: { name: 'SHA-256' } },
+        publicKey,
+        signature,
+        data
+    );
 }
 
 // --- Encryption/Decryption ---
-export async function encryptPayload(payload, sessionKey) {
-    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+// `iv` must never repeat under the same session key; callers reusing a key
+// pass a counter-based IV (see SessionKeyManager)
+export async function encryptPayload(payload, sessionKey, iv = window.crypto.getRandomValues(new Uint8Array(12)), additionalData) {
     const encodedPayload = new TextEncoder().encode(JSON.stringify(payload));
     const ciphertext = await window.crypto.subtle.encrypt(
-        { name: 'AES-GCM', iv },
+        { name: 'AES-GCM', iv, ...(additionalData && { additionalData }) },
         sessionKey,
         encodedPayload
     );
@@ -145,11 +193,11 @@ export async function encryptPayload(payload, sessionKey) {
         iv: toBase64(iv)
     };
 }
-export async function decryptResponse(encryptedResponse, sessionKey) {
+export async function decryptResponse(encryptedResponse, sessionKey, additionalData) {
     const iv = fromBase64(encryptedResponse.iv);
     const ciphertext = fromBase64(encryptedResponse.ciphertext);
     const decrypted = await window.crypto.subtle.decrypt(
-        { name: 'AES-GCM', iv },
+        { name: 'AES-GCM', iv, ...(additionalData && { additionalData }) },
         sessionKey,
         ciphertext
     );
@@ -157,22 +205,48 @@ export async function decryptResponse(encryptedResponse, sessionKey) {
 }
 
 // --- Secure Private Key Storage (using idb) ---
-import { openDB } from 'idb';
+import { STORES, IDENTITY_KEY, getItem, putItem, getSetting, saveSetting, deleteSetting } from './SecureStorage';
+import {
+    InvalidPinError,
+    KeyMissingError,
+    DecryptionError,
+    NetworkError,
+    GatewayRejectedError,
+    ProtocolVersionError,
+    ResponseVerificationError,
+    ServerKeyMismatchError,
+} from './errors';
+import config from '../config';
 
-export async function saveEncryptedPrivateKey(encrypted, salt, iv) {
-    const db = await openDB('secure-cipher-bank', 1, {
-        upgrade(db) { db.createObjectStore('keys'); }
-    });
-    await db.put('keys', { encrypted, salt, iv }, 'user-private-key');
+// Key ID is the hex SHA-256 fingerprint of the SPKI encoding of the public key
+export async function computeKeyId(spki) {
+    const hash = await window.crypto.subtle.digest('SHA-256', spki);
+    return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Persist the PIN-wrapped private key together with its public half, so the
+// identity keypair can be rebuilt on unlock without regenerating anything
+export async function saveEncryptedPrivateKey(encrypted, salt, iv, publicKey, createdAt = new Date().toISOString()) {
+    const spki = await window.crypto.subtle.exportKey('spki', publicKey);
+    const keyId = await computeKeyId(spki);
+    await putItem(STORES.KEYS, { encrypted, salt, iv, publicKey: spki, keyId, createdAt }, IDENTITY_KEY);
+    return { keyId, createdAt };
 }
 
 export async function fetchEncryptedPrivateKey() {
-    const db = await openDB('secure-cipher-bank', 1);
-    return await db.get('keys', 'user-private-key');
+    return await getItem(STORES.KEYS, IDENTITY_KEY);
+}
+
+export async function requireEncryptedPrivateKey() {
+    const keyData = await fetchEncryptedPrivateKey();
+    if (!keyData) throw new KeyMissingError();
+    return keyData;
 }
 
 // --- Encrypt/Decrypt Private Key with PIN ---
-export async function deriveEncryptionKey(pin, salt) {
+export const PBKDF2_ITERATIONS = 100000;
+
+export async function deriveEncryptionKey(pin, salt, iterations = PBKDF2_ITERATIONS) {
     const enc = new TextEncoder();
     const keyMaterial = await window.crypto.subtle.importKey(
         'raw',
@@ -185,7 +259,7 @@ export async function deriveEncryptionKey(pin, salt) {
         {
             name: 'PBKDF2',
             salt,
-            iterations: 100000,
+            iterations,
             hash: 'SHA-256',
         },
         keyMaterial,
@@ -208,43 +282,199 @@ export async function encryptPrivateKey(privateKey, pin) {
     return { encrypted, salt, iv };
 }
 
-export async function decryptPrivateKey(encrypted, pin, salt, iv) {
+// Re-encrypt the stored private key under a new PIN with a fresh salt and IV.
+// The new record is proven to decrypt before it is returned; nothing is
+// written here, so the caller decides when to replace the stored record.
+export async function rewrapPrivateKey(keyData, currentPin, newPin) {
+    const { privateKey, publicKey } = await decryptPrivateKey(
+        keyData.encrypted, currentPin, keyData.salt, keyData.iv, keyData.publicKey
+    );
+    const { encrypted, salt, iv } = await encryptPrivateKey(privateKey, newPin);
+    const spki = keyData.publicKey || await window.crypto.subtle.exportKey('spki', publicKey);
+    await decryptPrivateKey(encrypted, newPin, salt, iv, spki);
+    return {
+        ...keyData,
+        encrypted,
+        salt,
+        iv,
+        publicKey: spki,
+        keyId: keyData.keyId || await computeKeyId(spki),
+    };
+}
+
+// Rebuild the public key from a private key for records saved without an SPKI copy
+async function derivePublicKey(privateKey) {
+    const { kty, crv, x, y } = await window.crypto.subtle.exportKey('jwk', privateKey);
+    return await window.crypto.subtle.importKey(
+        'jwk',
+        { kty, crv, x, y },
+        { name: 'ECDSA', namedCurve: 'P-384' },
+        true,
+        ['verify']
+    );
+}
+
+export async function decryptPrivateKey(encrypted, pin, salt, iv, publicKeySpki) {
+    let pkcs8;
     try {
         const key = await deriveEncryptionKey(pin, salt);
-        const pkcs8 = await window.crypto.subtle.decrypt(
+        pkcs8 = await window.crypto.subtle.decrypt(
             { name: 'AES-GCM', iv },
             key,
             encrypted
         );
-        return await window.crypto.subtle.importKey(
+    } catch (error) {
+        if (error.name === 'OperationError' || error.message.includes('decrypt')) {
+            throw new InvalidPinError();
+        }
+        throw new DecryptionError();
+    }
+    try {
+        const privateKey = await window.crypto.subtle.importKey(
             'pkcs8',
             pkcs8,
             { name: 'ECDSA', namedCurve: 'P-384' },
             true,
             ['sign']
         );
-    } catch (error) {
-        if (error.name === 'OperationError' || error.message.includes('decrypt')) {
-            throw new Error('Invalid PIN. Please try again.');
-        } else if (error.name === 'InvalidAccessError') {
-            throw new Error('Corrupted key data. Please re-register.');
-        } else {
-            throw new Error('Decryption failed. Please try again.');
-        }
+        const publicKey = publicKeySpki
+            ? await window.crypto.subtle.importKey(
+                'spki',
+                publicKeySpki,
+                { name: 'ECDSA', namedCurve: 'P-384' },
+                true,
+                ['verify']
+            )
+            : await derivePublicKey(privateKey);
+        return { privateKey, publicKey };
+    } catch {
+        throw new DecryptionError(
+            'The key stored on this device is corrupted. Restore it from your recovery phrase or a backup file.',
+            { reason: 'corrupted-key' }
+        );
+    }
+}
+
+// The public key endpoint serves { public_key, signing_public_key, rotation,
+// server_time, protocol_versions }
+async function fetchServerKeyDocument() {
+    let res;
+    try {
+        res = await fetch(config.publicKeyUrl);
+    } catch (err) {
+        throw new NetworkError(undefined, { cause: err });
+    }
+    if (!res.ok) {
+        throw new GatewayRejectedError('The bank server is unavailable. Please try again later.', { status: res.status });
+    }
+    try {
+        return await res.json();
+    } catch (err) {
+        throw new NetworkError('The bank server sent an unreadable response.', { cause: err });
+    }
+}
+
+// --- Server Signing Key ---
+// The key the middleware signs responses with. It is pinned on first use and
+// never replaced by whatever the public key endpoint serves afterwards.
+export const SERVER_SIGNING_KEY_SETTING = 'server-signing-key';
+
+export async function importServerSigningKey(pem) {
+    return await window.crypto.subtle.importKey(
+        'spki',
+        pemToSpki(pem),
+        { name: 'ECDSA', namedCurve: 'P-384' },
+        true,
+        ['verify']
+    );
+}
+
+export async function getServerSigningKey() {
+    const pinned = await getSetting(SERVER_SIGNING_KEY_SETTING);
+    if (pinned) return await importServerSigningKey(pinned);
+
+    const { signing_public_key: pem } = await fetchServerKeyDocument();
+    if (!pem) {
+        throw new ResponseVerificationError('The server did not provide a response signing key.', { reason: 'no-signing-key' });
     }
+    // Import before pinning so a malformed key is never stored
+    const key = await importServerSigningKey(pem);
+    await saveSetting(SERVER_SIGNING_KEY_SETTING, pem);
+    return key;
 }
 
-// Fetch server public key from backend
-const SECURECIPHER_MIDDLEWARE_PUBLIC_KEY_URL = 'http://localhost:8000/api/middleware/public-key/';
-if (!SECURECIPHER_MIDDLEWARE_PUBLIC_KEY_URL) {
-    throw new Error('SECURECIPHER_MIDDLEWARE_PUBLIC_KEY_URL is not defined in environment variables');
+// --- Server Key Pinning ---
+// The SHA-256 fingerprint of the middleware's ECDH SPKI is pinned in IndexedDB.
+// A build can ship the expected fingerprint in VITE_SERVER_KEY_FINGERPRINT;
+// otherwise the first key seen is trusted. A different key is only accepted
+// with a rotation statement signed by the pinned server signing key.
+export const SERVER_KEY_FINGERPRINT_SETTING = 'server-key-fingerprint';
+export const SERVER_KEY_MISMATCH_SETTING = 'server-key-mismatch';
+export const SERVER_KEY_MISMATCH_EVENT = 'securecipher:server-key-mismatch';
+// Highest supported protocol version the pinned server has advertised
+export const SERVER_PROTOCOL_VERSION_SETTING = 'server-protocol-version';
+
+export async function getPinnedServerKeyFingerprint() {
+    return await getSetting(SERVER_KEY_FINGERPRINT_SETTING, config.serverKeyFingerprint);
 }
-if (!SECURECIPHER_MIDDLEWARE_PUBLIC_KEY_URL.startsWith('http')) {
-    throw new Error('SECURECIPHER_MIDDLEWARE_PUBLIC_KEY_URL must start with http:// or https://');
+
+// Forget the pinned key so the next one seen is trusted again (or the build pin, if any)
+export async function resetServerKeyPin() {
+    await deleteSetting(SERVER_KEY_FINGERPRINT_SETTING);
+    await deleteSetting(SERVER_KEY_MISMATCH_SETTING);
+    await deleteSetting(SERVER_PROTOCOL_VERSION_SETTING);
+}
+
+// { statement: { type, previous_fingerprint, new_fingerprint, issued_at }, signature }
+async function verifyRotation(rotation, pinned, fingerprint) {
+    const statement = rotation?.statement;
+    if (!statement || statement.type !== 'server_key_rotation') return false;
+    if (statement.previous_fingerprint !== pinned || statement.new_fingerprint !== fingerprint) return false;
+    // Only an already-pinned signing key can vouch for a new key; never trust
+    // one fetched alongside the very key it is meant to authorize
+    const signingKeyPem = await getSetting(SERVER_SIGNING_KEY_SETTING);
+    if (!signingKeyPem) return false;
+    return await verifySignature(statement, rotation.signature, await importServerSigningKey(signingKeyPem));
+}
+
+// Persist the mismatch for the warning screen and tell any open page about it
+async function recordServerKeyMismatch(expected, received) {
+    const mismatch = { expected, received, detectedAt: new Date().toISOString() };
+    await saveSetting(SERVER_KEY_MISMATCH_SETTING, mismatch);
+    window.dispatchEvent(new CustomEvent(SERVER_KEY_MISMATCH_EVENT, { detail: mismatch }));
+    return new ServerKeyMismatchError(undefined, { expected, received });
+}
+
+// Resolves to { publicKey, protocolVersion } once the key has passed the pin check
+export async function getServerKeyInfo() {
+    const {
+        public_key: pem,
+        rotation,
+        protocol_versions: protocolVersions,
+    } = await fetchServerKeyDocument();
+    // Import first so a malformed key is rejected before it can be pinned
+    const serverPublicKey = await importServerPublicKey(pem);
+    const fingerprint = await computeKeyId(pemToSpki(pem));
+    const pinned = await getPinnedServerKeyFingerprint();
+
+    if (!pinned) {
+        await saveSetting(SERVER_KEY_FINGERPRINT_SETTING, fingerprint);
+    } else if (fingerprint !== pinned) {
+        if (!rotation || !await verifyRotation(rotation, pinned, fingerprint)) {
+            throw await recordServerKeyMismatch(pinned, fingerprint);
+        }
+        await saveSetting(SERVER_KEY_FINGERPRINT_SETTING, fingerprint);
+    }
+    await deleteSetting(SERVER_KEY_MISMATCH_SETTING);
+
+    const minimum = await getSetting(SERVER_PROTOCOL_VERSION_SETTING, 1);
+    const protocolVersion = negotiateProtocolVersion(protocolVersions, minimum);
+    if (protocolVersion > minimum) {
+        await saveSetting(SERVER_PROTOCOL_VERSION_SETTING, protocolVersion);
+    }
+    return { publicKey: serverPublicKey, protocolVersion };
 }
 
 export async function getServerPublicKey() {
-    const res = await fetch(SECURECIPHER_MIDDLEWARE_PUBLIC_KEY_URL);
-    const pem = await res.json();
-    return await importServerPublicKey(pem.public_key);
-}
\ No newline at end of file
+    return (await getServerKeyInfo()).publicKey;
+}
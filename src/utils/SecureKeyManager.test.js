@@ -0,0 +1,207 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import * as SecureKeyManager from './SecureKeyManager';
+import { InvalidPinError, DecryptionError } from './errors';
+import * as MockProtocol from '../../mock/protocol.js';
+
+const {
+    generateSigningKeyPair,
+    generateEphemeralKeyPair,
+    exportPublicKeyAsPem,
+    pemToSpki,
+    importServerPublicKey,
+    importServerSigningKey,
+    canonicalizeJson,
+    signTransaction,
+    verifySignature,
+    encryptPrivateKey,
+    decryptPrivateKey,
+    rewrapPrivateKey,
+    encryptPayload,
+    decryptResponse,
+    deriveSharedSecret,
+    deriveSessionKeys,
+    envelopeAad,
+} = SecureKeyManager;
+
+const spkiOf = async (key) => new Uint8Array(await crypto.subtle.exportKey('spki', key));
+
+// PBKDF2 at the production iteration count is slow, so wrap each key once
+const wrapped = (async () => {
+    const keyPair = await generateSigningKeyPair();
+    return { keyPair, spki: await spkiOf(keyPair.publicKey), ...await encryptPrivateKey(keyPair.privateKey, '123456') };
+})();
+
+describe('PEM encoding', () => {
+    it('round-trips a signing key through PEM', async () => {
+        const { publicKey } = await generateSigningKeyPair();
+        const pem = await exportPublicKeyAsPem(publicKey);
+
+        expect(pem).toMatch(/^-----BEGIN PUBLIC KEY-----\n[A-Za-z0-9+/=]+\n-----END PUBLIC KEY-----$/);
+        expect(pemToSpki(pem)).toEqual(await spkiOf(publicKey));
+        expect(await spkiOf(await importServerSigningKey(pem))).toEqual(await spkiOf(publicKey));
+    });
+
+    it('imports an ECDH key from PEM with line breaks', async () => {
+        const { publicKey } = await generateEphemeralKeyPair();
+        const body = MockProtocol.toBase64(await spkiOf(publicKey)).match(/.{1,64}/g).join('\n');
+        const pem = `-----BEGIN PUBLIC KEY-----\n${body}\n-----END PUBLIC KEY-----\n`;
+
+        const imported = await importServerPublicKey(pem);
+        expect(imported.algorithm).toMatchObject({ name: 'ECDH', namedCurve: 'P-384' });
+        expect(await spkiOf(imported)).toEqual(await spkiOf(publicKey));
+    });
+});
+
+describe('canonicalizeJson', () => {
+    it.each([
+        ['sorts keys at every depth', { b: 1, a: { d: [3, { z: 1, y: 2 }], c: null } }, '{"a":{"c":null,"d":[3,{"y":2,"z":1}]},"b":1}'],
+        ['keeps array order', [3, 1, [2, 'a']], '[3,1,[2,"a"]]'],
+        ['writes numbers in their shortest form', { a: 1.0, b: -0, c: 1e21, d: 0.1, e: -12.5 }, '{"a":1,"b":0,"c":1e+21,"d":0.1,"e":-12.5}'],
+        ['leaves non-ASCII text unescaped', { name: 'Adébáyọ̀ ₦ 😀' }, '{"name":"Adébáyọ̀ ₦ 😀"}'],
+        ['escapes quotes and control characters', { s: 'a"b\\c\n\u0001' }, '{"s":"a\\"b\\\\c\\n\\u0001"}'],
+        ['orders keys by UTF-16 code units', { 'é': 1, z: 2, 'A': 3, '😀': 4, '￿': 5 }, '{"A":3,"z":2,"é":1,"😀":4,"￿":5}'],
+        ['handles empty containers and literals', { a: {}, b: [], c: true, d: false, e: '' }, '{"a":{},"b":[],"c":true,"d":false,"e":""}'],
+    ])('%s', (_, input, expected) => {
+        expect(canonicalizeJson(input)).toBe(expected);
+    });
+
+    it('does not depend on insertion order', () => {
+        expect(canonicalizeJson({ x: 1, y: { b: 2, a: 1 } })).toBe(canonicalizeJson({ y: { a: 1, b: 2 }, x: 1 }));
+    });
+});
+
+describe('signTransaction / verifySignature', () => {
+    const payload = { target: 'transfer', transaction_data: { amount: '1500.00', to_account: '0123456789' } };
+
+    it('verifies its own signatures regardless of key order', async () => {
+        const { privateKey, publicKey } = await generateSigningKeyPair();
+        const signature = await signTransaction(payload, privateKey);
+
+        const reordered = { transaction_data: { to_account: '0123456789', amount: '1500.00' }, target: 'transfer' };
+        expect(await verifySignature(reordered, signature, publicKey)).toBe(true);
+    });
+
+    it('rejects a tampered payload, another key and a malformed signature', async () => {
+        const { privateKey, publicKey } = await generateSigningKeyPair();
+        const other = await generateSigningKeyPair();
+        const signature = await signTransaction(payload, privateKey);
+        const tampered = { ...payload, transaction_data: { ...payload.transaction_data, amount: '9500.00' } };
+
+        expect(await verifySignature(tampered, signature, publicKey)).toBe(false);
+        expect(await verifySignature(payload, signature, other.publicKey)).toBe(false);
+        expect(await verifySignature(payload, 'not base64!', publicKey)).toBe(false);
+    });
+
+    it('interoperates with the gateway-side implementation', async () => {
+        const { privateKey, publicKey } = await generateSigningKeyPair();
+        const clientSignature = await signTransaction(payload, privateKey);
+        expect(await MockProtocol.verify(payload, clientSignature, publicKey)).toBe(true);
+
+        const serverSignature = await MockProtocol.sign(payload, privateKey);
+        expect(await verifySignature(payload, serverSignature, publicKey)).toBe(true);
+    });
+});
+
+describe('PIN wrapping', () => {
+    it('unwraps with the right PIN to a working keypair', async () => {
+        const { keyPair, encrypted, salt, iv, spki } = await wrapped;
+        const unwrapped = await decryptPrivateKey(encrypted, '123456', salt, iv, spki);
+
+        const signature = await signTransaction({ a: 1 }, unwrapped.privateKey);
+        expect(await verifySignature({ a: 1 }, signature, keyPair.publicKey)).toBe(true);
+        expect(await spkiOf(unwrapped.publicKey)).toEqual(spki);
+    });
+
+    it('rebuilds the public key for records saved without one', async () => {
+        const { encrypted, salt, iv, spki } = await wrapped;
+        const unwrapped = await decryptPrivateKey(encrypted, '123456', salt, iv, undefined);
+        expect(await spkiOf(unwrapped.publicKey)).toEqual(spki);
+    });
+
+    it('throws InvalidPinError for a wrong PIN', async () => {
+        const { encrypted, salt, iv, spki } = await wrapped;
+        await expect(decryptPrivateKey(encrypted, '654321', salt, iv, spki)).rejects.toBeInstanceOf(InvalidPinError);
+    });
+
+    it('throws a corrupted-key DecryptionError when the plaintext is not a key', async () => {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await SecureKeyManager.deriveEncryptionKey('123456', salt);
+        const garbage = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new Uint8Array(32));
+
+        const error = await decryptPrivateKey(garbage, '123456', salt, iv).catch(e => e);
+        expect(error).toBeInstanceOf(DecryptionError);
+        expect(error.reason).toBe('corrupted-key');
+    });
+
+    it('rewraps under a new PIN and stops accepting the old one', async () => {
+        const { encrypted, salt, iv, spki } = await wrapped;
+        const rewrapped = await rewrapPrivateKey({ encrypted, salt, iv, publicKey: spki }, '123456', '246810');
+
+        expect(rewrapped.salt).not.toEqual(salt);
+        await expect(decryptPrivateKey(rewrapped.encrypted, '246810', rewrapped.salt, rewrapped.iv, spki)).resolves.toBeTruthy();
+        await expect(decryptPrivateKey(rewrapped.encrypted, '123456', rewrapped.salt, rewrapped.iv, spki)).rejects.toBeInstanceOf(InvalidPinError);
+    });
+});
+
+describe('encryptPayload / decryptResponse', () => {
+    const aesKey = () => crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const payload = { nonce: 'n-1', response: { balance: '12.50', name: 'Adébáyọ̀' } };
+
+    it('round-trips with and without associated data', async () => {
+        const key = await aesKey();
+        const aad = new TextEncoder().encode('headers');
+
+        expect(await decryptResponse(await encryptPayload(payload, key), key)).toEqual(payload);
+        expect(await decryptResponse(await encryptPayload(payload, key, undefined, aad), key, aad)).toEqual(payload);
+    });
+
+    it('uses the IV it is given', async () => {
+        const key = await aesKey();
+        const iv = new Uint8Array(12).fill(7);
+        const { iv: encodedIv } = await encryptPayload(payload, key, iv);
+        expect(encodedIv).toBe(MockProtocol.toBase64(iv));
+    });
+
+    it('fails when the associated data or ciphertext is altered', async () => {
+        const key = await aesKey();
+        const aad = new TextEncoder().encode('headers');
+        const message = await encryptPayload(payload, key, undefined, aad);
+
+        await expect(decryptResponse(message, key, new TextEncoder().encode('other'))).rejects.toThrow();
+        await expect(decryptResponse(message, key)).rejects.toThrow();
+        const flipped = MockProtocol.fromBase64(message.ciphertext);
+        flipped[0] ^= 1;
+        await expect(decryptResponse({ ...message, ciphertext: MockProtocol.toBase64(flipped) }, key, aad)).rejects.toThrow();
+    });
+
+    it.each([1, 2])('agrees with the gateway on protocol version %i session keys', async (version) => {
+        const server = await MockProtocol.deriveServerKeyPair('unit-test', 'ecdh');
+        const ephemeral = await generateEphemeralKeyPair();
+        const ephemeralPubkey = MockProtocol.toBase64(await spkiOf(ephemeral.publicKey));
+        const serverPublicKey = await importServerPublicKey(server.pem);
+
+        const client = await deriveSessionKeys(
+            await deriveSharedSecret(ephemeral.privateKey, serverPublicKey),
+            { serverPublicKey, ephemeralPubkey, version }
+        );
+        const gateway = await MockProtocol.deriveSessionKeys(server, { version, ephemeralPubkey });
+        const headers = { protocol_version: version, ephemeral_pubkey: ephemeralPubkey, counter: 1 };
+
+        const request = await encryptPayload(payload, client.requestKey, undefined, envelopeAad(headers, 'request'));
+        expect(await MockProtocol.decrypt(request, gateway.requestKey, MockProtocol.envelopeAad(headers, 'request'))).toEqual(payload);
+
+        const response = await MockProtocol.encrypt(payload, gateway.responseKey, MockProtocol.envelopeAad(headers, 'response'));
+        expect(await decryptResponse(response, client.responseKey, envelopeAad(headers, 'response'))).toEqual(payload);
+    });
+
+    it('binds version 2 messages to their direction', async () => {
+        const headers = { protocol_version: 2, ephemeral_pubkey: 'e', counter: 1 };
+        const key = await aesKey();
+        const message = await encryptPayload(payload, key, undefined, envelopeAad(headers, 'request'));
+
+        await expect(decryptResponse(message, key, envelopeAad(headers, 'response'))).rejects.toThrow();
+        expect(envelopeAad({ ...headers, protocol_version: 1 }, 'request')).toBeUndefined();
+    });
+});
@@ -0,0 +1,185 @@
+import { openDB } from 'idb';
+
+// --- Schema ---
+export const DB_NAME = 'secure-cipher-bank';
+export const DB_VERSION = 2;
+
+export const STORES = {
+    KEYS: 'keys',
+    PROFILE: 'profile',
+    ACCOUNTS: 'accounts',
+    TRANSACTIONS: 'transactions',
+    BENEFICIARIES: 'beneficiaries',
+    SETTINGS: 'settings',
+};
+
+export const IDENTITY_KEY = 'user-private-key';
+export const VAULT_KEY = 'vault-key';
+export const PROFILE_KEY = 'current';
+
+// localStorage keys written by releases that predate the IndexedDB schema
+const LEGACY_LOCAL_STORAGE_KEYS = ['userProfile', 'userAccounts', 'userTransactions', 'keyUnlocked', 'pinIsSet'];
+
+function readLegacyJson(key) {
+    try {
+        const value = localStorage.getItem(key);
+        return value ? JSON.parse(value) : null;
+    } catch {
+        return null;
+    }
+}
+
+// Legacy list entries that can be stored under `keyField`. A put without a
+// key would throw and abort the whole upgrade.
+function readLegacyList(key, keyField) {
+    const list = readLegacyJson(key);
+    if (!Array.isArray(list)) return [];
+    return list.filter(item => item && item[keyField] !== undefined && item[keyField] !== null && item[keyField] !== '');
+}
+
+// --- Migrations ---
+// Each entry upgrades the database from (version - 1) to version. They run
+// inside the versionchange transaction, so only synchronous work and IDB
+// requests on `transaction` are allowed here (no WebCrypto, no fetch).
+// Anything to undo outside IndexedDB waits until the upgrade has committed:
+// see AFTER_MIGRATIONS.
+const MIGRATIONS = {
+    1(db) {
+        db.createObjectStore(STORES.KEYS);
+    },
+    2(db, transaction) {
+        db.createObjectStore(STORES.PROFILE);
+        db.createObjectStore(STORES.ACCOUNTS);
+        db.createObjectStore(STORES.TRANSACTIONS);
+        db.createObjectStore(STORES.BENEFICIARIES);
+        db.createObjectStore(STORES.SETTINGS);
+
+        // Carry the ad-hoc localStorage cache forward into the new stores
+        const profile = readLegacyJson('userProfile');
+        if (profile) transaction.objectStore(STORES.PROFILE).put(profile, PROFILE_KEY);
+
+        readLegacyList('userAccounts', 'account_number').forEach(account => {
+            transaction.objectStore(STORES.ACCOUNTS).put(account, account.account_number);
+        });
+
+        readLegacyList('userTransactions', 'id').forEach(txn => {
+            transaction.objectStore(STORES.TRANSACTIONS).put(txn, txn.id);
+        });
+
+        // v1 key records only held { encrypted, salt, iv }. The public key is
+        // rebuilt from the private key on the next unlock, so only stamp what
+        // can be filled in synchronously.
+        // `transaction` is idb's wrapper, so requests resolve as promises; the
+        // put is queued before the transaction can auto-commit.
+        const keys = transaction.objectStore(STORES.KEYS);
+        keys.get(IDENTITY_KEY).then(record => {
+            if (record && !record.createdAt) {
+                keys.put({ ...record, createdAt: new Date().toISOString() }, IDENTITY_KEY);
+            }
+        });
+    },
+};
+
+// Run once the matching migration's transaction has committed, so an upgrade
+// that fails or is aborted leaves the old data where it was
+const AFTER_MIGRATIONS = {
+    2() {
+        LEGACY_LOCAL_STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
+    },
+};
+
+let dbPromise = null;
+
+export function openDatabase() {
+    if (!dbPromise) {
+        const migrated = [];
+        dbPromise = openDB(DB_NAME, DB_VERSION, {
+            upgrade(db, oldVersion, newVersion, transaction) {
+                for (let version = oldVersion + 1; version <= newVersion; version++) {
+                    MIGRATIONS[version](db, transaction);
+                    migrated.push(version);
+                }
+            },
+            blocking() {
+                // Another tab wants a newer schema: let it upgrade
+                dbPromise?.then(db => db.close());
+                dbPromise = null;
+            },
+        }).then(db => {
+            migrated.forEach(version => AFTER_MIGRATIONS[version]?.());
+            return db;
+        }).catch(err => {
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+}
+
+// --- Generic record access ---
+export async function getItem(storeName, key) {
+    const db = await openDatabase();
+    return await db.get(storeName, key);
+}
+
+export async function getAllItems(storeName) {
+    const db = await openDatabase();
+    return await db.getAll(storeName);
+}
+
+// All [key, value] pairs of a store, read in one transaction
+export async function getAllEntries(storeName) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName);
+    const [keys, values] = await Promise.all([tx.store.getAllKeys(), tx.store.getAll()]);
+    await tx.done;
+    return keys.map((key, i) => [key, values[i]]);
+}
+
+export async function putItem(storeName, value, key) {
+    const db = await openDatabase();
+    await db.put(storeName, value, key);
+}
+
+export async function deleteItem(storeName, key) {
+    const db = await openDatabase();
+    await db.delete(storeName, key);
+}
+
+// Write several records in one transaction: either all land or none do
+export async function putEntries(storeName, entries) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    await Promise.all(entries.map(([key, value]) => tx.store.put(value, key)));
+    await tx.done;
+}
+
+// Replace the whole contents of a store in one transaction
+export async function replaceAll(storeName, entries) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    await tx.store.clear();
+    await Promise.all(entries.map(([key, value]) => tx.store.put(value, key)));
+    await tx.done;
+}
+
+export async function clearStores(storeNames) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeNames, 'readwrite');
+    await Promise.all(storeNames.map(name => tx.objectStore(name).clear()));
+    await tx.done;
+}
+
+// --- Settings ---
+export async function getSetting(name, defaultValue = null) {
+    const value = await getItem(STORES.SETTINGS, name);
+    return value === undefined ? defaultValue : value;
+}
+
+export async function saveSetting(name, value) {
+    await putItem(STORES.SETTINGS, value, name);
+}
+
+export async function deleteSetting(name) {
+    await deleteItem(STORES.SETTINGS, name);
+}
@@ -0,0 +1,42 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll } from 'vitest';
+import { openDB } from 'idb';
+import { STORES, DB_NAME, DB_VERSION, IDENTITY_KEY, PROFILE_KEY, getItem, getAllEntries, openDatabase } from './SecureStorage';
+
+const profile = { id: 'u1', username: 'ada' };
+const accounts = [{ account_number: '0123456789' }, { account_type: 'Savings' }];
+const transactions = [{ id: 't1', amount: '1500.00' }, { amount: '20.00' }, { id: null }];
+const identityRecord = { encrypted: 'e', salt: 's', iv: 'i' };
+
+describe('v1 -> v2 migration', () => {
+    beforeAll(async () => {
+        const v1 = await openDB(DB_NAME, 1, { upgrade: db => db.createObjectStore(STORES.KEYS) });
+        await v1.put(STORES.KEYS, identityRecord, IDENTITY_KEY);
+        v1.close();
+        localStorage.setItem('userProfile', JSON.stringify(profile));
+        localStorage.setItem('userAccounts', JSON.stringify(accounts));
+        localStorage.setItem('userTransactions', JSON.stringify(transactions));
+        localStorage.setItem('pinIsSet', 'true');
+    });
+
+    it('moves the localStorage cache into the new stores, skipping records without a key', async () => {
+        const db = await openDatabase();
+        expect(db.version).toBe(DB_VERSION);
+
+        expect(await getItem(STORES.PROFILE, PROFILE_KEY)).toEqual(profile);
+        expect(await getAllEntries(STORES.ACCOUNTS)).toEqual([['0123456789', accounts[0]]]);
+        expect(await getAllEntries(STORES.TRANSACTIONS)).toEqual([['t1', transactions[0]]]);
+    });
+
+    it('stamps the v1 identity record with a creation date', async () => {
+        const record = await getItem(STORES.KEYS, IDENTITY_KEY);
+        expect(record).toMatchObject(identityRecord);
+        expect(Date.parse(record.createdAt)).not.toBeNaN();
+    });
+
+    it('clears the legacy localStorage keys once the upgrade has committed', () => {
+        for (const key of ['userProfile', 'userAccounts', 'userTransactions', 'pinIsSet']) {
+            expect(localStorage.getItem(key)).toBeNull();
+        }
+    });
+});
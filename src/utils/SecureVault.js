@@ -0,0 +1,189 @@
+import { deriveEncryptionKey } from './SecureKeyManager';
+import { STORES, PROFILE_KEY, VAULT_KEY, getItem, getAllEntries, putItem, replaceAll, clearStores } from './SecureStorage';
+import { InvalidPinError, SessionLockedError } from './errors';
+
+// --- Encrypted local vault ---
+// Cached user data is encrypted with a random AES-GCM data key. The data key
+// is wrapped under the same PBKDF2(PIN) derivation as the identity key and
+// only lives in memory between unlockVault() and lockVault().
+
+const VAULT_STORES = [STORES.PROFILE, STORES.ACCOUNTS, STORES.TRANSACTIONS, STORES.BENEFICIARIES];
+
+let vaultKey = null;
+
+function assertUnlocked() {
+    if (!vaultKey) throw new SessionLockedError();
+}
+
+async function importDataKey(raw) {
+    return await window.crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+async function wrapDataKey(raw, pin) {
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveEncryptionKey(pin, salt);
+    const wrapped = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, raw);
+    return { wrapped, salt, iv };
+}
+
+async function unwrapDataKey({ wrapped, salt, iv }, pin) {
+    const key = await deriveEncryptionKey(pin, salt);
+    try {
+        return await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, wrapped);
+    } catch {
+        throw new InvalidPinError();
+    }
+}
+
+// Records are bound to their store and key through AES-GCM associated data,
+// so an encrypted value cannot be swapped into another slot
+function recordContext(storeName, key) {
+    return new TextEncoder().encode(`${storeName}/${key}`);
+}
+
+function isEncryptedRecord(record) {
+    return !!record && record.vault === 1;
+}
+
+async function encryptRecord(storeName, key, value) {
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await window.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: recordContext(storeName, key) },
+        vaultKey,
+        new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { vault: 1, iv, ciphertext };
+}
+
+async function decryptRecord(storeName, key, record) {
+    const plaintext = await window.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: record.iv, additionalData: recordContext(storeName, key) },
+        vaultKey,
+        record.ciphertext
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// Encrypt any plaintext records left behind by the v2 localStorage migration
+async function encryptLegacyRecords() {
+    for (const storeName of VAULT_STORES) {
+        for (const [key, record] of await getAllEntries(storeName)) {
+            if (!isEncryptedRecord(record)) {
+                await putItem(storeName, await encryptRecord(storeName, key, record), key);
+            }
+        }
+    }
+}
+
+// --- Lifecycle ---
+export function isVaultUnlocked() {
+    return vaultKey !== null;
+}
+
+// Wrap a new data key under `pin` and make it the vault key
+async function newVaultKey(pin) {
+    const raw = window.crypto.getRandomValues(new Uint8Array(32));
+    await putItem(STORES.KEYS, await wrapDataKey(raw, pin), VAULT_KEY);
+    vaultKey = await importDataKey(raw);
+}
+
+// Start a fresh vault for a newly registered identity, discarding any cache
+// encrypted under a previous identity's PIN
+export async function createVault(pin) {
+    await clearStores(VAULT_STORES);
+    await newVaultKey(pin);
+}
+
+export async function unlockVault(pin) {
+    const record = await getItem(STORES.KEYS, VAULT_KEY);
+    if (record) {
+        vaultKey = await importDataKey(await unwrapDataKey(record, pin));
+    } else {
+        // First unlock after the v2 migration: keep the migrated cache and
+        // encrypt it under a new data key below
+        await newVaultKey(pin);
+    }
+    await encryptLegacyRecords();
+}
+
+// Wrap the same data key under a new PIN. Returns the new record without
+// storing it, so the caller can commit it together with the identity key.
+export async function rewrapVaultKey(currentPin, newPin) {
+    const record = await getItem(STORES.KEYS, VAULT_KEY);
+    if (!record) return null;
+    const raw = await unwrapDataKey(record, currentPin);
+    return await wrapDataKey(raw, newPin);
+}
+
+// Called by the session on logout and on idle timeout
+export function lockVault() {
+    vaultKey = null;
+}
+
+// --- Encrypted record access ---
+async function readRecord(storeName, key) {
+    if (!vaultKey) return null;
+    const record = await getItem(storeName, key);
+    return isEncryptedRecord(record) ? await decryptRecord(storeName, key, record) : null;
+}
+
+async function readAll(storeName) {
+    if (!vaultKey) return [];
+    const entries = await getAllEntries(storeName);
+    return await Promise.all(
+        entries
+            .filter(([, record]) => isEncryptedRecord(record))
+            .map(([key, record]) => decryptRecord(storeName, key, record))
+    );
+}
+
+async function writeAll(storeName, entries) {
+    assertUnlocked();
+    const encrypted = await Promise.all(
+        entries.map(async ([key, value]) => [key, await encryptRecord(storeName, key, value)])
+    );
+    await replaceAll(storeName, encrypted);
+}
+
+// --- User data cache ---
+export async function getProfile() {
+    return await readRecord(STORES.PROFILE, PROFILE_KEY);
+}
+
+export async function saveProfile(profile) {
+    assertUnlocked();
+    await putItem(STORES.PROFILE, await encryptRecord(STORES.PROFILE, PROFILE_KEY, profile), PROFILE_KEY);
+}
+
+export async function getAccounts() {
+    return await readAll(STORES.ACCOUNTS);
+}
+
+export async function saveAccounts(accounts) {
+    await writeAll(STORES.ACCOUNTS, accounts.map(account => [account.account_number, account]));
+}
+
+export async function getTransactions() {
+    return await readAll(STORES.TRANSACTIONS);
+}
+
+export async function saveTransactions(transactions) {
+    await writeAll(STORES.TRANSACTIONS, transactions.map(txn => [txn.id, txn]));
+}
+
+export async function getBeneficiaries() {
+    return await readAll(STORES.BENEFICIARIES);
+}
+
+export async function saveBeneficiaries(beneficiaries) {
+    await writeAll(STORES.BENEFICIARIES, beneficiaries.map(b => [b.account_number, b]));
+}
+
+// Save whichever of user/accounts/transactions/beneficiaries a server response carried
+export async function saveUserData({ user, accounts, transactions, beneficiaries }) {
+    if (user) await saveProfile(user);
+    if (accounts) await saveAccounts(accounts);
+    if (transactions) await saveTransactions(transactions);
+    if (beneficiaries) await saveBeneficiaries(beneficiaries);
+}
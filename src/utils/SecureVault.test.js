@@ -0,0 +1,42 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll } from 'vitest';
+import { openDB } from 'idb';
+import * as SecureVault from './SecureVault';
+import { STORES, DB_NAME, getAllEntries, openDatabase } from './SecureStorage';
+
+const profile = { id: 'u1', username: 'ada', first_name: 'Ada' };
+const accounts = [{ account_number: '0123456789', available_balance: '1500.00' }];
+const transactions = [{ id: 't1', amount: '1500.00', transaction_type: 'Credit' }];
+
+describe('first unlock after the v2 migration', () => {
+    beforeAll(async () => {
+        // A v1 database and the localStorage cache of the releases before it
+        const v1 = await openDB(DB_NAME, 1, { upgrade: db => db.createObjectStore(STORES.KEYS) });
+        v1.close();
+        localStorage.setItem('userProfile', JSON.stringify(profile));
+        localStorage.setItem('userAccounts', JSON.stringify(accounts));
+        localStorage.setItem('userTransactions', JSON.stringify(transactions));
+        await openDatabase();
+    });
+
+    it('keeps the migrated cache and encrypts it at rest', async () => {
+        await SecureVault.unlockVault('123456');
+
+        expect(await SecureVault.getProfile()).toEqual(profile);
+        expect(await SecureVault.getAccounts()).toEqual(accounts);
+        expect(await SecureVault.getTransactions()).toEqual(transactions);
+        for (const store of [STORES.PROFILE, STORES.ACCOUNTS, STORES.TRANSACTIONS]) {
+            for (const [, record] of await getAllEntries(store)) {
+                expect(record.vault).toBe(1);
+            }
+        }
+    });
+
+    it('opens the same vault with the same PIN next time', async () => {
+        SecureVault.lockVault();
+        expect(await SecureVault.getAccounts()).toEqual([]);
+
+        await SecureVault.unlockVault('123456');
+        expect(await SecureVault.getAccounts()).toEqual(accounts);
+    });
+});
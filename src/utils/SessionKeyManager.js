@@ -0,0 +1,102 @@
+import {
+    toBase64,
+    getServerKeyInfo,
+    generateEphemeralKeyPair,
+    deriveSharedSecret,
+    deriveSessionKeys,
+} from './SecureKeyManager';
+
+// --- Request session keys ---
+// One ECDH exchange with the middleware is reused for a run of requests. Each
+// message gets a unique IV built from a random per-session prefix and a
+// message counter, and the session is replaced when it expires, runs out of
+// messages, or the server rejects a request.
+
+export const SESSION_KEY_LIFETIME_MS = 5 * 60 * 1000;
+export const MAX_MESSAGES_PER_SESSION = 100;
+export const SERVER_KEY_CACHE_MS = 60 * 60 * 1000;
+
+const IV_PREFIX_BYTES = 4;
+
+let serverKeyCache = null; // { promise, fetchedAt }
+let currentSession = null; // Promise<{ version, ephemeralPubkey, requestKey, responseKey, ivPrefix, createdAt, counter }>
+
+// --- Server Key Cache ---
+function getCachedServerKeyInfo() {
+    if (!serverKeyCache || Date.now() - serverKeyCache.fetchedAt > SERVER_KEY_CACHE_MS) {
+        const promise = getServerKeyInfo();
+        serverKeyCache = { promise, fetchedAt: Date.now() };
+        // A failed fetch must not stay cached
+        promise.catch(() => {
+            if (serverKeyCache?.promise === promise) serverKeyCache = null;
+        });
+    }
+    return serverKeyCache.promise;
+}
+
+// --- Sessions ---
+async function createSession() {
+    const { publicKey: serverPublicKey, protocolVersion: version } = await getCachedServerKeyInfo();
+    const ephemeralKeyPair = await generateEphemeralKeyPair();
+    const ephemeralPubkey = toBase64(
+        await window.crypto.subtle.exportKey('spki', ephemeralKeyPair.publicKey)
+    );
+    const sharedSecret = await deriveSharedSecret(ephemeralKeyPair.privateKey, serverPublicKey);
+    const { requestKey, responseKey } = await deriveSessionKeys(sharedSecret, { serverPublicKey, ephemeralPubkey, version });
+    return {
+        version,
+        ephemeralPubkey,
+        requestKey,
+        responseKey,
+        ivPrefix: window.crypto.getRandomValues(new Uint8Array(IV_PREFIX_BYTES)),
+        createdAt: Date.now(),
+        counter: 0,
+    };
+}
+
+function isUsable(session) {
+    return Date.now() - session.createdAt < SESSION_KEY_LIFETIME_MS
+        && session.counter < MAX_MESSAGES_PER_SESSION;
+}
+
+// 12-byte AES-GCM IV: 4-byte session prefix || 8-byte big-endian counter
+function counterIv(ivPrefix, counter) {
+    const iv = new Uint8Array(12);
+    iv.set(ivPrefix, 0);
+    new DataView(iv.buffer).setBigUint64(IV_PREFIX_BYTES, BigInt(counter));
+    return iv;
+}
+
+// Reserve the next message slot in the current session, rekeying if needed.
+// Resolves to { version, ephemeralPubkey, requestKey, responseKey, iv, counter }.
+export async function nextMessageKey() {
+    const existing = currentSession;
+    let session = existing && await existing.catch(() => null);
+    if (!session || !isUsable(session)) {
+        // Concurrent callers share whichever exchange replaced it first
+        if (currentSession === existing) currentSession = createSession();
+        const pending = currentSession;
+        try {
+            session = await pending;
+        } catch (err) {
+            if (currentSession === pending) currentSession = null;
+            throw err;
+        }
+    }
+    const counter = ++session.counter;
+    return {
+        version: session.version,
+        ephemeralPubkey: session.ephemeralPubkey,
+        requestKey: session.requestKey,
+        responseKey: session.responseKey,
+        iv: counterIv(session.ivPrefix, counter),
+        counter,
+    };
+}
+
+// Drop the session after a rejection; `refetchServerKey` also forgets the
+// cached server key so the next exchange re-checks it against the pin
+export function resetSession({ refetchServerKey = false } = {}) {
+    currentSession = null;
+    if (refetchServerKey) serverKeyCache = null;
+}
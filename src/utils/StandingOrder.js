@@ -0,0 +1,97 @@
+import { signTransaction } from './SecureKeyManager';
+import { parseAmount, formatAmount } from './money';
+import { ValidationError } from './errors';
+
+// A standing order is a transfer the bank makes on the user's behalf: once on
+// a future date, or weekly or monthly until an end date. The user authorizes
+// the whole schedule once by signing its definition with the identity key, and
+// the bank only runs what that signature covers. Editing an order means
+// signing a new revision of it.
+
+export const SCHEDULE_TYPE = 'standing_order';
+export const SCHEDULE_VERSION = 1;
+export const FREQUENCIES = ['once', 'weekly', 'monthly'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// --- Dates ---
+// Schedules use calendar dates (YYYY-MM-DD), the format <input type="date"> uses
+
+export function localDate(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function formatScheduleDate(value) {
+    if (!DATE_PATTERN.test(value || '')) return '';
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// "Once on 5 Nov 2026", "Monthly from 5 Nov 2026 until 5 May 2027"
+export function describeSchedule({ frequency, start_date: startDate, end_date: endDate }) {
+    if (frequency === 'once') return `Once on ${formatScheduleDate(startDate)}`;
+    const every = frequency === 'weekly' ? 'Weekly' : 'Monthly';
+    return `${every} from ${formatScheduleDate(startDate)} until ${formatScheduleDate(endDate)}`;
+}
+
+// --- Validation ---
+// Field errors for a schedule, keyed like the signed definition; empty when it
+// can be signed. `today` is the device's local date.
+export function validateSchedule({ frequency, startDate, endDate }, today = localDate()) {
+    const errors = {};
+    if (!FREQUENCIES.includes(frequency)) {
+        errors.frequency = 'Choose how often to send this payment.';
+    }
+    if (!DATE_PATTERN.test(startDate || '')) {
+        errors.start_date = 'Choose the date of the first payment.';
+    } else if (startDate <= today) {
+        errors.start_date = 'Scheduled payments must start after today.';
+    }
+    if (frequency !== 'once') {
+        if (!DATE_PATTERN.test(endDate || '')) {
+            errors.end_date = 'Choose the date of the last payment.';
+        } else if (!errors.start_date && endDate < startDate) {
+            errors.end_date = 'The last payment cannot be before the first.';
+        }
+    }
+    return errors;
+}
+
+// --- Authorization ---
+// `identity` is the unlocked session identity. Pass the existing `orderId` and
+// the next `revision` to replace an order; a new order gets a fresh ID.
+export async function signStandingOrder(identity, {
+    orderId = crypto.randomUUID(),
+    revision = 1,
+    fromAccount,
+    toAccount,
+    amount,
+    description,
+    frequency,
+    startDate,
+    endDate,
+}) {
+    const errors = validateSchedule({ frequency, startDate, endDate });
+    const [field] = Object.keys(errors);
+    if (field) {
+        throw new ValidationError(errors[field], { field });
+    }
+    const schedule = {
+        type: SCHEDULE_TYPE,
+        version: SCHEDULE_VERSION,
+        order_id: orderId,
+        revision,
+        from_account: fromAccount,
+        to_account: toAccount,
+        amount: formatAmount(parseAmount(amount)),
+        description: description || 'Fund Transfer',
+        frequency,
+        start_date: startDate,
+        end_date: frequency === 'once' ? null : endDate,
+        authorized_by: identity.keyId,
+        issued_at: new Date().toISOString(),
+    };
+    const signature = await signTransaction(schedule, identity.privateKey);
+    return { schedule, signature };
+}
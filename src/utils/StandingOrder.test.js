@@ -0,0 +1,68 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { validateSchedule, describeSchedule, signStandingOrder, localDate } from './StandingOrder';
+import { generateSigningKeyPair, verifySignature } from './SecureKeyManager';
+
+const TODAY = '2026-10-18';
+
+describe('validateSchedule', () => {
+    it.each([
+        ['a single future payment', { frequency: 'once', startDate: '2026-10-19' }],
+        ['a recurring payment ending on its first date', { frequency: 'weekly', startDate: '2026-11-01', endDate: '2026-11-01' }],
+        ['a monthly payment', { frequency: 'monthly', startDate: '2026-11-01', endDate: '2027-11-01' }],
+    ])('accepts %s', (_, schedule) => {
+        expect(validateSchedule(schedule, TODAY)).toEqual({});
+    });
+
+    it.each([
+        ['an unknown frequency', { frequency: 'daily', startDate: '2026-11-01', endDate: '2026-12-01' }, 'frequency'],
+        ['a start date of today', { frequency: 'once', startDate: TODAY }, 'start_date'],
+        ['a missing start date', { frequency: 'once', startDate: '' }, 'start_date'],
+        ['a recurring payment without an end date', { frequency: 'monthly', startDate: '2026-11-01' }, 'end_date'],
+        ['an end date before the start', { frequency: 'weekly', startDate: '2026-11-01', endDate: '2026-10-31' }, 'end_date'],
+    ])('rejects %s', (_, schedule, field) => {
+        expect(Object.keys(validateSchedule(schedule, TODAY))).toEqual([field]);
+    });
+
+    it('uses the local calendar date', () => {
+        expect(localDate(new Date(2026, 0, 5, 23, 30))).toBe('2026-01-05');
+    });
+});
+
+describe('describeSchedule', () => {
+    it('reads as a sentence', () => {
+        expect(describeSchedule({ frequency: 'once', start_date: '2026-11-05' })).toBe('Once on 5 Nov 2026');
+        expect(describeSchedule({ frequency: 'monthly', start_date: '2026-11-05', end_date: '2027-05-05' }))
+            .toBe('Monthly from 5 Nov 2026 until 5 May 2027');
+    });
+});
+
+describe('signStandingOrder', () => {
+    it('signs the normalized schedule definition', async () => {
+        const identity = { ...await generateSigningKeyPair(), keyId: 'key-1' };
+        const { schedule, signature } = await signStandingOrder(identity, {
+            fromAccount: '1111111111',
+            toAccount: '0123456789',
+            amount: '1500.5',
+            frequency: 'once',
+            startDate: '2099-01-01',
+            endDate: '2099-02-01',
+        });
+
+        expect(schedule).toMatchObject({
+            type: 'standing_order',
+            revision: 1,
+            amount: '1500.50',
+            description: 'Fund Transfer',
+            end_date: null,
+            authorized_by: 'key-1',
+        });
+        expect(await verifySignature(schedule, signature, identity.publicKey)).toBe(true);
+    });
+
+    it('refuses to sign an invalid schedule', async () => {
+        const identity = { ...await generateSigningKeyPair(), keyId: 'key-1' };
+        await expect(signStandingOrder(identity, { amount: '10', frequency: 'weekly', startDate: '2099-01-01' }))
+            .rejects.toMatchObject({ name: 'ValidationError', field: 'end_date', message: 'Choose the date of the last payment.' });
+    });
+});
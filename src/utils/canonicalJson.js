@@ -0,0 +1,70 @@
+// --- Canonical JSON (RFC 8785, JSON Canonicalization Scheme) ---
+// The byte form every signature in the protocol covers, on both sides, so it
+// has no browser or app dependencies: the mock gateway (mock/) imports it in
+// Node as well. The middleware must produce the same bytes; the shared vectors
+// in test-vectors/canonical-json.json are the contract.
+//
+//   - object members sorted by key, compared as UTF-16 code units
+//   - no insignificant whitespace
+//   - strings escaped as ECMAScript JSON.stringify does: only ", \ and
+//     control characters, with lowercase \u00xx for controls without a short form
+//   - numbers in ECMAScript Number-to-string form (1e+30, 0.002, -0 -> 0)
+//
+// Values JSON cannot carry are treated as JSON.stringify treats them, so the
+// signature covers exactly what goes over the wire: undefined, functions and
+// symbols are dropped from objects and become null in arrays, and toJSON()
+// (e.g. on Date) is honored. What JCS forbids is rejected: non-finite numbers,
+// BigInt and strings with unpaired surrogates.
+
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+function isOmitted(value) {
+    return value === undefined || typeof value === 'function' || typeof value === 'symbol';
+}
+
+function serializeString(value) {
+    if (LONE_SURROGATE.test(value)) {
+        throw new TypeError('Canonical JSON cannot encode a string with an unpaired surrogate');
+    }
+    return JSON.stringify(value);
+}
+
+function serialize(value) {
+    if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+        value = value.toJSON();
+    }
+    if (value === null) return 'null';
+    switch (typeof value) {
+        case 'boolean':
+            return value ? 'true' : 'false';
+        case 'number':
+            if (!Number.isFinite(value)) {
+                throw new TypeError(`Canonical JSON cannot encode the number ${value}`);
+            }
+            // ECMAScript Number-to-string is exactly what RFC 8785 specifies
+            return JSON.stringify(value);
+        case 'string':
+            return serializeString(value);
+        case 'bigint':
+            throw new TypeError('Canonical JSON cannot encode a BigInt');
+        case 'object':
+            break;
+        default:
+            return undefined;
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (isOmitted(item) ? 'null' : serialize(item))).join(',')}]`;
+    }
+    const members = Object.keys(value)
+        .filter(key => !isOmitted(value[key]))
+        .sort()
+        .map(key => `${serializeString(key)}:${serialize(value[key])}`);
+    return `{${members.join(',')}}`;
+}
+
+export function canonicalizeJson(value) {
+    if (isOmitted(value)) {
+        throw new TypeError('Canonical JSON needs a JSON value');
+    }
+    return serialize(value);
+}
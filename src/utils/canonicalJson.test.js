@@ -0,0 +1,32 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { canonicalizeJson } from './canonicalJson';
+import vectors from '../../test-vectors/canonical-json.json';
+
+describe('shared conformance vectors', () => {
+    it.each(vectors.valid.map(v => [v.name, v]))('%s', (_, { input, canonical }) => {
+        expect(canonicalizeJson(input)).toBe(canonical);
+    });
+
+    it.each(vectors.invalid.map(v => [v.name, v]))('rejects %s', (_, { input }) => {
+        expect(() => canonicalizeJson(input)).toThrow(TypeError);
+    });
+});
+
+describe('values JSON cannot carry', () => {
+    it('drops what JSON.stringify drops, so the signature matches the wire', () => {
+        const value = { a: undefined, b: () => {}, c: Symbol('c'), d: [undefined, () => {}, 1], e: new Date(0) };
+        expect(canonicalizeJson(value)).toBe('{"d":[null,null,1],"e":"1970-01-01T00:00:00.000Z"}');
+        expect(canonicalizeJson(value)).toBe(canonicalizeJson(JSON.parse(JSON.stringify(value))));
+    });
+
+    it.each([
+        ['NaN', { a: NaN }],
+        ['Infinity', [Infinity]],
+        ['a BigInt', { a: 1n }],
+        ['a lone surrogate key', { '\uDC00': 1 }],
+        ['undefined at the top level', undefined],
+    ])('rejects %s', (_, value) => {
+        expect(() => canonicalizeJson(value)).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,59 @@
+import {
+    InvalidPinError,
+    PinLockedError,
+    KeyMissingError,
+    SessionLockedError,
+    DecryptionError,
+    NetworkError,
+    RequestCancelledError,
+    RateLimitedError,
+    GatewayRejectedError,
+    ProtocolVersionError,
+    ResponseVerificationError,
+    ServerKeyMismatchError,
+    ClockSkewError,
+    ValidationError,
+} from './errors';
+
+// --- User-facing error descriptions ---
+// Turns anything a page catches into { message, action, retryable }. `action`
+// is { label, to } for a route that helps the user recover, or null; pages
+// render it with <ErrorMessage />. Unknown errors fall back to their own
+// message, then to `fallback`.
+
+const RESTORE_KEY = { label: 'Restore from recovery phrase', to: '/restore-phrase' };
+
+function describeRateLimit(err) {
+    if (!err.retryAfter) return err.message;
+    const seconds = Math.ceil(err.retryAfter);
+    const wait = seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+    return `Too many requests. Please try again in ${wait}.`;
+}
+
+export function describeError(err, fallback = 'Something went wrong. Please try again.') {
+    const describe = (message, action = null, retryable = false) => ({ message: message || fallback, action, retryable });
+
+    if (err instanceof InvalidPinError) return describe(err.message, null, true);
+    if (err instanceof PinLockedError) return describe(err.message, err.permanent ? RESTORE_KEY : null);
+    if (err instanceof KeyMissingError) {
+        return describe(err.message, { label: 'Set up this device', to: '/register' });
+    }
+    if (err instanceof SessionLockedError) return describe(err.message, { label: 'Unlock', to: '/login' });
+    if (err instanceof DecryptionError) {
+        if (err.reason === 'corrupted-key') return describe(err.message, RESTORE_KEY);
+        return describe(err.message, null, true);
+    }
+    if (err instanceof ServerKeyMismatchError) {
+        return describe(err.message, { label: 'Review the server key', to: '/server-key-warning' });
+    }
+    if (err instanceof ResponseVerificationError) {
+        return describe('We could not verify that this response came from the bank, so it was discarded. Please try again.', null, true);
+    }
+    if (err instanceof RequestCancelledError) return describe(err.message, null, true);
+    if (err instanceof NetworkError) return describe(err.message, null, true);
+    if (err instanceof RateLimitedError) return describe(describeRateLimit(err), null, true);
+    if (err instanceof GatewayRejectedError) return describe(err.message, null, err.status >= 500);
+    if (err instanceof ClockSkewError || err instanceof ProtocolVersionError) return describe(err.message);
+    if (err instanceof ValidationError) return describe(err.message);
+    return describe(err?.message);
+}
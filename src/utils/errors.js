@@ -0,0 +1,178 @@
+// --- Error types ---
+// Everything the key, storage and gateway layers throw on purpose extends
+// SecureCipherError, so callers can tell expected failures from bugs. Pages
+// turn these into messages and recovery actions with describeError().
+
+export class SecureCipherError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SecureCipherError';
+    }
+}
+
+// --- PIN and local keys ---
+
+// The PIN did not decrypt the key. `remainingAttempts` is filled in by the
+// PIN guard once the failure has been counted.
+export class InvalidPinError extends SecureCipherError {
+    constructor(message = 'Invalid PIN. Please try again.', { remainingAttempts = null } = {}) {
+        super(message);
+        this.name = 'InvalidPinError';
+        this.remainingAttempts = remainingAttempts;
+    }
+}
+
+// PIN entry is blocked: temporarily until `retryAt`, or for good when `permanent`
+export class PinLockedError extends SecureCipherError {
+    constructor(message, { retryAt = null, permanent = false } = {}) {
+        super(message);
+        this.name = 'PinLockedError';
+        this.retryAt = retryAt;
+        this.permanent = permanent;
+    }
+}
+
+// There is no identity key on this device
+export class KeyMissingError extends SecureCipherError {
+    constructor(message = 'No identity key found on this device. Please register first.') {
+        super(message);
+        this.name = 'KeyMissingError';
+    }
+}
+
+// The keys are not in memory: the session was never unlocked, or was locked
+export class SessionLockedError extends SecureCipherError {
+    constructor(message = 'Your session is locked. Please enter your PIN to continue.') {
+        super(message);
+        this.name = 'SessionLockedError';
+    }
+}
+
+// Something that should decrypt did not, for a reason other than a wrong PIN.
+// `reason` is 'corrupted-key' for an unreadable stored key, 'response' for a
+// gateway response, 'backup' for a key backup file that does not open with its
+// passphrase or holds a damaged key, or 'unknown'.
+export class DecryptionError extends SecureCipherError {
+    constructor(message = 'Decryption failed. Please try again.', { reason = 'unknown' } = {}) {
+        super(message);
+        this.name = 'DecryptionError';
+        this.reason = reason;
+    }
+}
+
+// --- Gateway ---
+
+// The middleware could not be reached, or answered with something that is not
+// a gateway response
+export class NetworkError extends SecureCipherError {
+    constructor(message = 'Could not reach the bank. Check your connection and try again.', { cause = null } = {}) {
+        super(message);
+        this.name = 'NetworkError';
+        this.cause = cause;
+    }
+}
+
+// The gateway did not answer within the request timeout. The request may still
+// have been processed, which is why non-idempotent requests carry an
+// idempotency key.
+export class RequestTimeoutError extends NetworkError {
+    constructor(message = 'The bank did not respond in time. Please try again.', { timeoutMs = null } = {}) {
+        super(message);
+        this.name = 'RequestTimeoutError';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+// The caller aborted the request through its AbortSignal
+export class RequestCancelledError extends SecureCipherError {
+    constructor(message = 'The request was cancelled.') {
+        super(message);
+        this.name = 'RequestCancelledError';
+    }
+}
+
+// The gateway refused the request. `code` is the server's machine-readable
+// error code when it sent one.
+export class GatewayRejectedError extends SecureCipherError {
+    constructor(message = 'The bank rejected the request.', { status = null, code = null } = {}) {
+        super(message);
+        this.name = 'GatewayRejectedError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// The gateway is throttling this client; `retryAfter` is in seconds when known
+export class RateLimitedError extends GatewayRejectedError {
+    constructor(message = 'Too many requests. Please wait a moment and try again.', { status = 429, code = 'rate_limited', retryAfter = null } = {}) {
+        super(message, { status, code });
+        this.name = 'RateLimitedError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+// The gateway and this app have no protocol version in common, or the gateway
+// offered less than the `minimum` it has advertised before
+export class ProtocolVersionError extends SecureCipherError {
+    constructor(message = 'The bank server does not support a compatible protocol version. Please update the app.', { advertised = null, minimum = null } = {}) {
+        super(message);
+        this.name = 'ProtocolVersionError';
+        this.advertised = advertised;
+        this.minimum = minimum;
+    }
+}
+
+// A gateway response failed its server signature check and must not be used.
+// `reason` is one of 'unsigned', 'bad-signature', 'nonce-mismatch', 'replayed',
+// 'no-signing-key'.
+export class ResponseVerificationError extends SecureCipherError {
+    constructor(message = 'The server response could not be verified.', { reason = 'bad-signature' } = {}) {
+        super(message);
+        this.name = 'ResponseVerificationError';
+        this.reason = reason;
+    }
+}
+
+// The middleware's ECDH key does not match the pinned fingerprint and no valid
+// rotation statement was offered. Requests stay blocked until this is resolved.
+export class ServerKeyMismatchError extends SecureCipherError {
+    constructor(message = 'The bank server presented an unexpected key. Requests have been blocked to protect you.', { expected = null, received = null } = {}) {
+        super(message);
+        this.name = 'ServerKeyMismatchError';
+        this.expected = expected;
+        this.received = received;
+    }
+}
+
+// The device clock is too far from the server's for signed requests to be accepted
+export class ClockSkewError extends SecureCipherError {
+    constructor(message = 'Your device clock is out of sync with the bank. Please correct your date and time settings and try again.', { skewSeconds = null } = {}) {
+        super(message);
+        this.name = 'ClockSkewError';
+        this.skewSeconds = skewSeconds;
+    }
+}
+
+// --- Money ---
+
+// An amount is not a plain naira value with at most two decimal places, or is
+// too large to hold exactly in kobo
+export class InvalidAmountError extends SecureCipherError {
+    constructor(message = 'Enter an amount in naira with at most two decimal places.') {
+        super(message);
+        this.name = 'InvalidAmountError';
+    }
+}
+
+// --- Input ---
+
+// Something entered or imported on this device (a recovery phrase, backup
+// file, link code or schedule) is malformed, or asks for something that is not
+// allowed. Nothing has been sent to the bank. `field` names the input when known.
+export class ValidationError extends SecureCipherError {
+    constructor(message = 'Please check the details and try again.', { field = null } = {}) {
+        super(message);
+        this.name = 'ValidationError';
+        this.field = field;
+    }
+}
@@ -0,0 +1,65 @@
+import config, { LOG_LEVELS } from '../config';
+
+// --- Logging ---
+// Everything in src/services and src/utils logs through here instead of the
+// console. Messages below the configured level (see VITE_LOG_LEVEL) are
+// dropped, and every logged value is passed through redact() first, so PII
+// and key material never reach the console even in dev builds. Debug logging
+// is compiled out of production builds whatever the level says.
+
+const threshold = LOG_LEVELS.indexOf(config.logLevel);
+
+// Field name segments that mark a value as PII or key material. Names are
+// split on `_` and camelCase, so `private_key`, `privateKey` and `to_account`
+// all match.
+const SENSITIVE_SEGMENTS = new Set([
+    'pin', 'bvn', 'nin', 'password', 'secret', 'token', 'phrase', 'mnemonic',
+    'private', 'key', 'pubkey', 'dek', 'salt', 'iv', 'ciphertext', 'signature', 'pem',
+    'email', 'phone', 'dob', 'birth', 'address', 'name', 'username',
+    'account', 'amount', 'balance',
+]);
+
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 6;
+
+function isSensitiveField(name) {
+    return name
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .some(segment => SENSITIVE_SEGMENTS.has(segment));
+}
+
+// Copy of `value` that is safe to log: sensitive fields are replaced, keys and
+// raw bytes are summarized, and PEM blocks are hidden wherever they appear
+export function redact(value, depth = 0) {
+    if (value === null || value === undefined) return value;
+    if (typeof value === 'string') return value.includes('-----BEGIN') ? REDACTED : value;
+    if (typeof value !== 'object') return value;
+    if (typeof CryptoKey !== 'undefined' && value instanceof CryptoKey) return `[CryptoKey ${value.type}]`;
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return `[${value.byteLength} bytes]`;
+    if (value instanceof Error) return value;
+    if (depth >= MAX_DEPTH) return '[…]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    return Object.fromEntries(
+        Object.entries(value).map(([field, item]) => [
+            field,
+            isSensitiveField(field) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1),
+        ])
+    );
+}
+
+function emit(level, scope, message, args) {
+    if (LOG_LEVELS.indexOf(level) < threshold) return;
+    console[level](`[${scope}] ${message}`, ...args.map(arg => redact(arg)));
+}
+
+// logger.debug/info/warn/error(message, ...values), prefixed with `scope`
+export function createLogger(scope) {
+    return {
+        debug: import.meta.env.PROD ? () => {} : (message, ...args) => emit('debug', scope, message, args),
+        info: (message, ...args) => emit('info', scope, message, args),
+        warn: (message, ...args) => emit('warn', scope, message, args),
+        error: (message, ...args) => emit('error', scope, message, args),
+    };
+}
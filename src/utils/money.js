@@ -0,0 +1,58 @@
+import { InvalidAmountError } from './errors';
+
+// --- Money ---
+// Amounts are integer kobo from the moment they are parsed until they are
+// formatted, never floating-point naira, so rounding cannot change what gets
+// signed or compared. On the wire and in the cache they are decimal naira
+// strings such as "1500.50".
+
+const KOBO_PER_NAIRA = 100;
+const AMOUNT_PATTERN = /^(\d+)(?:\.(\d{1,2}))?$/;
+
+// Parses a naira amount ("1500", "1500.5", "1500.50") to integer kobo. Numbers
+// are read through their shortest string form, so 1500.5 is accepted but
+// 0.1 + 0.2 and exponent forms like 1e21 are not.
+export function parseAmount(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new InvalidAmountError();
+    }
+    const match = AMOUNT_PATTERN.exec(String(value).trim());
+    if (!match) {
+        throw new InvalidAmountError();
+    }
+    const [, naira, kobo = ''] = match;
+    const total = Number(naira) * KOBO_PER_NAIRA + Number(kobo.padEnd(2, '0'));
+    if (!Number.isSafeInteger(total)) {
+        throw new InvalidAmountError('That amount is too large.');
+    }
+    return total;
+}
+
+// Integer kobo to the decimal string the gateway expects, e.g. 150050 -> "1500.50"
+export function formatAmount(kobo) {
+    if (!Number.isSafeInteger(kobo)) {
+        throw new InvalidAmountError('Amounts must be whole kobo.');
+    }
+    const sign = kobo < 0 ? '-' : '';
+    const absolute = Math.abs(kobo);
+    const naira = Math.floor(absolute / KOBO_PER_NAIRA);
+    return `${sign}${naira}.${String(absolute % KOBO_PER_NAIRA).padStart(2, '0')}`;
+}
+
+// Integer kobo for display, e.g. 150050 -> "₦1,500.50"
+export function formatNaira(kobo, { symbol = true } = {}) {
+    const [naira, fraction] = formatAmount(kobo).split('.');
+    const grouped = naira.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    const sign = grouped.startsWith('-') ? '-' : '';
+    return `${sign}${symbol ? '₦' : ''}${grouped.replace('-', '')}.${fraction}`;
+}
+
+// Formats an amount as received from the gateway or cache, showing a dash
+// instead of throwing when the value is missing or malformed
+export function displayAmount(value, options) {
+    try {
+        return formatNaira(parseAmount(value), options);
+    } catch {
+        return '—';
+    }
+}
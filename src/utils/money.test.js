@@ -0,0 +1,68 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { parseAmount, formatAmount, formatNaira, displayAmount } from './money';
+import { InvalidAmountError } from './errors';
+
+describe('parseAmount', () => {
+    it.each([
+        ['1500', 150000],
+        ['1500.5', 150050],
+        ['1500.50', 150050],
+        [' 0.01 ', 1],
+        ['0', 0],
+        ['498499.50', 49849950],
+        [1500.5, 150050],
+        [20, 2000],
+    ])('reads %j as %i kobo', (value, kobo) => {
+        expect(parseAmount(value)).toBe(kobo);
+    });
+
+    it('is exact where floating point is not', () => {
+        expect(parseAmount('0.29') + parseAmount('0.01')).toBe(parseAmount('0.30'));
+        expect(parseAmount('1234567.89')).toBe(123456789);
+    });
+
+    it.each([
+        ['more than two decimals', '10.005'],
+        ['an exponent', '1e5'],
+        ['a sign', '-5'],
+        ['grouping', '1,500'],
+        ['a trailing point', '15.'],
+        ['an empty string', ''],
+        ['a float that is not whole kobo', 0.1 + 0.2],
+        ['a number in exponent form', 1e21],
+        ['NaN', NaN],
+        ['null', null],
+        ['an amount too large to hold exactly', '99999999999999999'],
+    ])('rejects %s', (_, value) => {
+        expect(() => parseAmount(value)).toThrow(InvalidAmountError);
+    });
+});
+
+describe('formatting', () => {
+    it('writes the wire form with exactly two decimals', () => {
+        expect(formatAmount(150050)).toBe('1500.50');
+        expect(formatAmount(5)).toBe('0.05');
+        expect(formatAmount(-150000)).toBe('-1500.00');
+        expect(() => formatAmount(1.5)).toThrow(InvalidAmountError);
+    });
+
+    it('round-trips through the wire form', () => {
+        for (const kobo of [0, 1, 99, 100, 123456789]) {
+            expect(parseAmount(formatAmount(kobo))).toBe(kobo);
+        }
+    });
+
+    it('formats naira with grouping and the ₦ sign', () => {
+        expect(formatNaira(49849950)).toBe('₦498,499.50');
+        expect(formatNaira(99)).toBe('₦0.99');
+        expect(formatNaira(-100000000)).toBe('-₦1,000,000.00');
+        expect(formatNaira(150050, { symbol: false })).toBe('1,500.50');
+    });
+
+    it('shows a dash for missing or malformed amounts', () => {
+        expect(displayAmount('1500.5')).toBe('₦1,500.50');
+        expect(displayAmount(undefined)).toBe('—');
+        expect(displayAmount('12.345')).toBe('—');
+    });
+});
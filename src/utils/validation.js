@@ -0,0 +1,13 @@
+// --- Shared form validation rules ---
+
+// PIN rules used wherever a new PIN is chosen (registration, PIN change)
+export function validateNewPin(pin, confirmPin) {
+    const errors = {};
+    if (!pin) {
+        errors.pin = 'A 6-digit PIN is required';
+    } else if (!/^\d{6}$/.test(pin)) {
+        errors.pin = 'PIN must be exactly 6 digits';
+    }
+    if (pin !== confirmPin) errors.confirm_pin = 'PINs do not match';
+    return errors;
+}
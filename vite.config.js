@@ -1,69 +1,83 @@
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
+import mockGateway from "./mock/vitePlugin.js";
 
 // https://vitejs.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    port: 3000,
-    host: '0.0.0.0',
+export default defineConfig(({ mode }) => {
+  // DEV_PROXY_TARGET is read by the dev server only and never reaches the bundle
+  const env = loadEnv(mode, process.cwd(), '');
+  const proxyTarget = env.DEV_PROXY_TARGET || 'http://localhost:8000';
+  // MOCK_GATEWAY=true serves /api from the in-process mock instead of proxying
+  const useMockGateway = env.MOCK_GATEWAY === 'true';
 
-    // Use polling for better Windows compatibility
-    watch: {
-      usePolling: true,
-      interval: 1000,
-      ignored: ['**/node_modules/**', '**/.git/**']
-    },
-    // Proxy API calls to backend
-    proxy: {
-      '/api': {
-        target: 'http://localhost:8000',
-        changeOrigin: true,
-        secure: false,
-        timeout: 15000,
-        configure: (proxy, _options) => {
-          proxy.on('error', (err, _req, _res) => {
-            console.log('proxy error', err);
-          });
-          proxy.on('proxyReq', (proxyReq, req, _res) => {
-            console.log('Sending Request to the Target:', req.method, req.url);
-          });
-          proxy.on('proxyRes', (proxyRes, req, _res) => {
-            console.log('Received Response from the Target:', proxyRes.statusCode, req.url);
-          });
-        },
+  return {
+    plugins: [
+      react(),
+      useMockGateway && mockGateway({ stateFile: env.MOCK_GATEWAY_STATE || null }),
+    ].filter(Boolean),
+    server: {
+      port: 3000,
+      host: '0.0.0.0',
+
+      // Use polling for better Windows compatibility
+      watch: {
+        usePolling: true,
+        interval: 1000,
+        ignored: ['**/node_modules/**', '**/.git/**']
+      },
+      // Proxy API calls to backend
+      proxy: useMockGateway ? undefined : {
+        '/api': {
+          target: proxyTarget,
+          changeOrigin: true,
+          secure: false,
+          timeout: 15000,
+          configure: (proxy, _options) => {
+            proxy.on('error', (err, _req, _res) => {
+              console.log('proxy error', err);
+            });
+            proxy.on('proxyReq', (proxyReq, req, _res) => {
+              console.log('Sending Request to the Target:', req.method, req.url);
+            });
+            proxy.on('proxyRes', (proxyRes, req, _res) => {
+              console.log('Received Response from the Target:', proxyRes.statusCode, req.url);
+            });
+          },
+        }
       }
-    }
-  },
-  // Prevent build issues
-  build: {
-    rollupOptions: {
-      maxParallelFileOps: 1, // Reduced for Windows stability
-      output: {
-        manualChunks: {
-          vendor: ['react', 'react-dom'],
-          router: ['react-router-dom'],
-          icons: ['lucide-react']
+    },
+    // Prevent build issues
+    build: {
+      rollupOptions: {
+        maxParallelFileOps: 1, // Reduced for Windows stability
+        output: {
+          manualChunks: {
+            vendor: ['react', 'react-dom'],
+            router: ['react-router-dom'],
+            icons: ['lucide-react']
+          }
         }
+      },
+      chunkSizeWarningLimit: 1000,
+      target: 'esnext',
+      minify: 'esbuild'
+    },
+    // Optimize dependencies to prevent memory issues
+    optimizeDeps: {
+      include: ['react', 'react-dom', 'react-router-dom', 'lucide-react'],
+      force: true,
+      esbuildOptions: {
+        target: 'esnext'
       }
     },
-    chunkSizeWarningLimit: 1000,
-    target: 'esnext',
-    minify: 'esbuild'
-  },
-  // Optimize dependencies to prevent memory issues
-  optimizeDeps: {
-    include: ['react', 'react-dom', 'react-router-dom', 'lucide-react'],
-    force: true,
-    esbuildOptions: {
-      target: 'esnext'
-    }
-  },
-  // Clear cache on startup
-  clearScreen: false,
-  logLevel: 'info',
-  test: {
-    globals: true,
-    environment: 'jsdom',
-  },
-})
+    // Clear cache on startup
+    clearScreen: false,
+    logLevel: 'info',
+    test: {
+      globals: true,
+      environment: 'jsdom',
+      setupFiles: ['./src/setupTests.js'],
+      env: { VITE_LOG_LEVEL: 'silent' },
+    },
+  };
+});